@@ -6,28 +6,40 @@
 const fs = require("fs");
 const path = require("path");
 
-const v = (key, input) =>
-  new RegExp(`${key}:[\\D]*(\\d+(\\.\\d+)*)`).exec(input)[1];
-
+const { classifyConstraintChange } = require("./version-constraints");
+const {
+  fetchProviderSchema,
+  diffProviderSchemas,
+  isBreakingSchemaDiff,
+  summarizeBreakingSchemaDiff,
+  renderSchemaDiff,
+} = require("./provider-schema-diff");
+
+const value = (key, input) =>
+  new RegExp(`${key}:\\s*("|')(.*?)\\1`).exec(input)?.[2];
+
+// terraformProvider is `<source>@<constraint>`, e.g. `hashicorp/aws@~> 6.0`
 const terraformProviderName = (input) =>
-  new RegExp(`terraformProvider:\\s("|')(.*)@`).exec(input)[2];
-
-const parse = (version) => {
-  const parts = version.split(".");
-  return {
-    major: Number(parts[0]),
-    minor: Number(parts[1]),
-    patch: Number(parts[2]),
-  };
+  (value("terraformProvider", input) ?? "").split("@")[0];
+
+const constraints = {
+  terraformProvider: (input) =>
+    (value("terraformProvider", input) ?? "").split("@")[1] ?? "",
+  cdktfVersion: (input) => value("cdktfVersion", input) ?? "",
+  constructsVersion: (input) => value("constructsVersion", input) ?? "",
+  minNodeVersion: (input) => value("minNodeVersion", input) ?? "",
+  jsiiVersion: (input) => value("jsiiVersion", input) ?? "",
 };
 
-const isBreaking = (key, before, after) => {
-  const bef = parse(v(key, before));
-  const aft = parse(v(key, after));
-  const majorIncreased = aft.major > bef.major;
-  const isDev = aft.major === 0 && bef.major === 0;
-  const minorIncreased = aft.minor > bef.minor;
-  return majorIncreased || (isDev && minorIncreased);
+const names = {
+  terraformProvider: "provider version constraint",
+  cdktfVersion: "CDKTF version",
+  constructsVersion: "constructs version",
+  minNodeVersion: "minimum Node version",
+  jsiiVersion: "jsii & typescript version",
+  providerVersion: "provider version",
+  providerName: "provider name",
+  providerSchema: "provider schema",
 };
 
 async function getBeforeAndAfterFiles(exec, dir, fileName, isJson) {
@@ -70,34 +82,94 @@ module.exports = async ({ core, exec }) => {
       path.join("src", "version.json"),
       true,
     );
+  // src/version.json maps the provider source to the version the bindings
+  // were generated from
   const providerVersions = {
-    before: before[Object.keys(beforeVersion)[0]],
-    after: after[Object.keys(afterVersion)[0]],
+    before: Object.values(beforeVersion)[0] ?? "",
+    after: Object.values(afterVersion)[0] ?? "",
   };
 
   const results = [
-    "terraformProvider",
-    "cdktfVersion",
-    "constructsVersion",
-    "minNodeVersion",
-    "jsiiVersion",
-  ].map((key) => ({
-    key,
-    before: v(key, before),
-    after: v(key, after),
-    breaking: isBreaking(key, before, after),
-  }));
-
-  const providerNameChanged = ["terraformProvider"].map((key) => ({
-    key,
+    ...Object.entries(constraints).map(([key, constraintOf]) => {
+      const change = {
+        key,
+        before: constraintOf(before),
+        after: constraintOf(after),
+      };
+      return {
+        ...change,
+        // minNodeVersion is a bare minimum like `20.9.0`
+        ...classifyConstraintChange(change.before, change.after, {
+          bareIsMinimum: key === "minNodeVersion",
+        }),
+      };
+    }),
+    {
+      key: "providerVersion",
+      ...providerVersions,
+      ...classifyConstraintChange(
+        providerVersions.before,
+        providerVersions.after,
+      ),
+    },
+  ];
+
+  const providerName = {
+    key: "providerName",
     before: terraformProviderName(before),
     after: terraformProviderName(after),
-    breaking: terraformProviderName(before) !== terraformProviderName(after),
-  }));
+  };
+  if (providerName.before !== providerName.after) {
+    results.push({
+      ...providerName,
+      breaking: true,
+      reason: `the provider source changed from \`${providerName.before}\` to \`${providerName.after}\``,
+    });
+  }
 
-  const hasBreakingChanges = [...results, ...providerNameChanged].some(
-    (res) => res.breaking,
-  );
+  // even a minor provider release can remove resources or attributes
+  if (
+    providerVersions.before &&
+    providerVersions.after &&
+    providerVersions.before !== providerVersions.after
+  ) {
+    try {
+      const diff = diffProviderSchemas(
+        await fetchProviderSchema(
+          exec,
+          Object.keys(beforeVersion)[0],
+          providerVersions.before,
+        ),
+        await fetchProviderSchema(
+          exec,
+          Object.keys(afterVersion)[0],
+          providerVersions.after,
+        ),
+      );
+      core.setOutput(
+        "schema_changes",
+        renderSchemaDiff(diff, providerVersions.before, providerVersions.after),
+      );
+      if (isBreakingSchemaDiff(diff)) {
+        results.push({
+          key: "providerSchema",
+          ...providerVersions,
+          breaking: true,
+          reason: summarizeBreakingSchemaDiff(diff),
+        });
+      }
+    } catch (e) {
+      // the version checks still apply, so don't block the upgrade
+      console.log(e);
+      core.setOutput(
+        "schema_changes",
+        `The provider schemas of ${providerVersions.before} and ${providerVersions.after} could not be compared: ${e.message}`,
+      );
+    }
+  }
+
+  const breakingChanges = results.filter((res) => res.breaking);
+  const hasBreakingChanges = breakingChanges.length > 0;
 
   console.log(
     hasBreakingChanges ? "Found breaking changes!" : "No breaking changes.",
@@ -107,58 +179,32 @@ module.exports = async ({ core, exec }) => {
 
   let commitMessageParts = [];
 
-  const allChanges = [...results];
-  allChanges.forEach((res) => {
+  const changes = results.filter((res) => res.before !== res.after);
+  results.forEach((res) => {
     console.log(
       `${res.key}: ${res.before} => ${res.after} (${
-        res.breaking ? "breaking" : "non-breaking"
+        res.breaking ? `breaking, ${res.reason}` : "non-breaking"
       })`,
     );
+  });
 
-    if (res.before === res.after) {
-      return;
-    }
+  changes.forEach((res) => {
+    // the provider version is part of the message already
+    if (res.key === "providerSchema") return;
 
-    let name;
     switch (res.key) {
       case "terraformProvider":
-        name = `provider version`;
-        prefix = `${hasBreakingChanges ? "feat!" : "fix"}: update `;
-        break;
+      case "providerVersion":
+      case "providerName":
       case "cdktfVersion":
-        name = `CDKTF version`;
+        // changes the published bindings, so they need a release
         prefix = `${hasBreakingChanges ? "feat!" : "fix"}: update `;
         break;
-      case "constructsVersion":
-        name = `constructs version`;
-        break;
-      case "minNodeVersion":
-        name = `minimum Node version`;
-        break;
-      case "jsiiVersion":
-        name = "jsii & typescript version";
-        break;
     }
 
-    commitMessageParts.push(`${name} to \`${res.after}\``);
+    commitMessageParts.push(`${names[res.key]} to \`${res.after}\``);
   });
 
-  if (allChanges.length === 0) {
-    commitMessageParts.push("dependencies");
-  }
-
-  if (providerNameChanged.before !== providerNameChanged.after) {
-    commitMessageParts.push(
-      `provider name to \`${providerNameChanged.after}\``,
-    );
-  }
-
-  if (providerVersions.before !== providerVersions.after) {
-    commitMessageParts.push(
-      `provider version to \`${providerVersions.after}\``,
-    );
-  }
-
   if (commitMessageParts.length === 0) {
     const repo = "cdktn-io/cdktn-repository-manager"; // we could make this dynamic
     let commitHash;
@@ -171,13 +217,22 @@ module.exports = async ({ core, exec }) => {
     } catch (e) {
       console.log(e);
     }
-    if (commitHash) {
-      commitMessageParts.push(`by ${repo}@${commitHash}`);
-    }
+    commitMessageParts.push(
+      commitHash ? `by ${repo}@${commitHash.trim()}` : "dependencies",
+    );
   }
 
   if (hasBreakingChanges) {
     core.setOutput("has_breaking_changes", true);
+    // a conventional commit footer, so the changelog explains the major
+    // version
+    core.setOutput(
+      "breaking_changes",
+      [
+        "BREAKING CHANGE: the update may break code using the bindings",
+        ...breakingChanges.map((res) => `- ${names[res.key]}: ${res.reason}`),
+      ].join("\n"),
+    );
   }
 
   core.setOutput(
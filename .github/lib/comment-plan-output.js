@@ -3,7 +3,112 @@
  * SPDX-License-Identifier: MPL-2.0
  */
 
-module.exports = ({
+const {
+  changesFromPlanJson,
+  changesFromPlanText,
+  summarizePlan,
+  renderPlanSummary,
+} = require("./plan-summary");
+
+// comments are limited to 65536 characters
+const maxCommentLength = 65000;
+const historyLength = 5;
+
+// every stack has a single comment, found by a hidden marker that also keeps
+// the previous outcomes, e.g.
+// <!-- cdktf-plan-comment {"stack":"repos","obsolete":false,"history":[...]} -->
+const markerRegex = /^<!-- cdktf-plan-comment (\{.*\}) -->/;
+
+const renderMarker = (state) =>
+  `<!-- cdktf-plan-comment ${JSON.stringify(state)} -->`;
+
+/**
+ * Anyone can paste the marker into a comment, so only comments of our GitHub
+ * App count
+ */
+function isOwnComment(comment, appSlug) {
+  return (
+    comment.user?.login === `${appSlug}[bot]` &&
+    (!comment.performed_via_github_app ||
+      comment.performed_via_github_app.slug === appSlug)
+  );
+}
+
+function stateOf(comment) {
+  const match = markerRegex.exec(comment.body ?? "");
+  if (!match) return undefined;
+  try {
+    return JSON.parse(match[1]);
+  } catch (e) {
+    return undefined;
+  }
+}
+
+/**
+ * @returns {string} e.g. `2 to create, 1 to destroy`
+ */
+function describeTotals(totals) {
+  const parts = [
+    totals.create > 0 && `${totals.create} to create`,
+    totals.update > 0 && `${totals.update} to update`,
+    totals.replace > 0 && `${totals.replace} to replace`,
+    totals.delete > 0 && `${totals.delete} to destroy`,
+  ].filter(Boolean);
+  return parts.length > 0 ? parts.join(", ") : "no changes";
+}
+
+function renderHistory(history) {
+  if (history.length === 0) return "";
+  return `<details><summary>Previous plans</summary>
+
+${history
+  .map(
+    (entry) =>
+      `- \`${entry.sha.substring(0, 7)}\`: \`${entry.outcome}\`, ${entry.result}`,
+  )
+  .join("\n")}
+
+</details>`;
+}
+
+async function setMinimized(github, comment, minimized) {
+  try {
+    await github.graphql(
+      minimized
+        ? `mutation($id: ID!) { minimizeComment(input: { subjectId: $id, classifier: OUTDATED }) { clientMutationId } }`
+        : `mutation($id: ID!) { unminimizeComment(input: { subjectId: $id }) { clientMutationId } }`,
+      { id: comment.node_id },
+    );
+  } catch (e) {
+    // the comment still says it's obsolete
+    console.log(e);
+  }
+}
+
+/**
+ * Replaces the comment with a note why the stack is no longer affected and
+ * collapses it
+ */
+async function markObsolete({ github, owner, repo, comment, state, reason }) {
+  if (state.obsolete) return;
+  const body = `${renderMarker({ ...state, obsolete: true })}
+#### [\`${state.stack}\`] Terraform Plan 📖\`obsolete\`
+
+${reason}
+
+${renderHistory(state.history)}`;
+
+  await github.rest.issues.updateComment({
+    owner,
+    repo,
+    comment_id: comment.id,
+    body,
+  });
+  await setMinimized(github, comment, true);
+  console.log(`Marked the plan comment of ${state.stack} obsolete`);
+}
+
+module.exports = async ({
   context,
   github,
   planOutcome,
@@ -12,27 +117,111 @@ module.exports = ({
   workflowName,
   workingDirectory,
   stackName,
+  plannedStacks = [],
+  appSlug,
 }) => {
-  const { readFileSync } = require("fs");
+  if (!appSlug) {
+    throw new Error(
+      "appSlug of the GitHub App commenting the plan is required",
+    );
+  }
+  const { existsSync, readFileSync } = require("fs");
   const data = readFileSync(`./plan_stdout_${stackName}.txt`, "utf-8");
-  const isLargeOutput = data.length > 65000;
   const refreshLinesRegex = /: Refreshing state\.\.\.\s*\[id=/i;
+  const { owner, repo } = context.repo;
+  const issueNumber = context.issue.number;
+  const sha = context.payload.pull_request?.head?.sha ?? context.sha;
+
+  // written by `terraform show -json`, missing if the plan couldn't be saved
+  const jsonFile = `./plan_${stackName}.json`;
+  let changes;
+  try {
+    changes = existsSync(jsonFile)
+      ? changesFromPlanJson(JSON.parse(readFileSync(jsonFile, "utf-8")))
+      : changesFromPlanText(data);
+  } catch (e) {
+    console.log(e);
+    changes = changesFromPlanText(data);
+  }
+  const planSummary = summarizePlan(changes);
+  const summary =
+    planOutcome === "success"
+      ? renderPlanSummary(planSummary)
+      : "The plan failed, see the output below.";
+  const result =
+    planOutcome === "success" ? describeTotals(planSummary.totals) : "failed";
+
+  const comments = (
+    await github.paginate(github.rest.issues.listComments, {
+      owner,
+      repo,
+      issue_number: issueNumber,
+      per_page: 100,
+    })
+  )
+    .filter((comment) => isOwnComment(comment, appSlug))
+    .map((comment) => ({ comment, state: stateOf(comment) }))
+    .filter(({ state }) => state);
+
+  // stacks removed or renamed by the PR aren't planned anymore
+  if (plannedStacks.length > 0) {
+    for (const { comment, state } of comments) {
+      if (plannedStacks.includes(state.stack)) continue;
+      await markObsolete({
+        github,
+        owner,
+        repo,
+        comment,
+        state,
+        reason: `This stack is no longer planned as of ${sha}.`,
+      });
+    }
+  }
+
+  const existing = comments.find(({ state }) => state.stack === stackName);
+  const previous = existing?.state.history ?? [];
+  const history = [{ sha, outcome: planOutcome, result }, ...previous].slice(
+    0,
+    historyLength,
+  );
+
+  if (planOutcome === "success" && result === "no changes") {
+    // nothing to review, don't add a comment for unaffected stacks
+    if (existing) {
+      await markObsolete({
+        github,
+        owner,
+        repo,
+        comment: existing.comment,
+        state: { ...existing.state, history },
+        reason: `The plan has no changes as of ${sha}.`,
+      });
+    }
+    return;
+  }
+
+  const remoteRunLinkRegex = /^(.*app\.terraform\.io\/app.*)$/m;
+  const remoteRunLinkMatch = remoteRunLinkRegex.exec(data);
+  const remoteRunLink =
+    remoteRunLinkMatch !== null ? remoteRunLinkMatch[1] : null;
 
+  const historySection = renderHistory(previous.slice(0, historyLength - 1));
+  const maxPlanLength =
+    maxCommentLength - summary.length - historySection.length - 1500;
   let plan = data;
-  if (isLargeOutput)
+  if (plan.length > maxPlanLength)
     plan = plan
       .split("\n")
       .filter((line) => !refreshLinesRegex.test(line))
       .join("\n");
 
-  plan = plan.length > 65000 ? `${plan.substring(0, 65000)}...` : plan;
+  plan =
+    plan.length > maxPlanLength
+      ? `${plan.substring(0, maxPlanLength)}...`
+      : plan;
 
-  const remoteRunLinkRegex = /^(.*app\.terraform\.io\/app.*)$/m;
-  const remoteRunLinkMatch = remoteRunLinkRegex.exec(plan);
-  const remoteRunLink =
-    remoteRunLinkMatch !== null ? remoteRunLinkMatch[1] : null;
-
-  const output = `#### [\`${stackName}\`] Terraform Plan 📖\`${planOutcome}\`
+  const output = `${renderMarker({ stack: stackName, obsolete: false, history })}
+#### [\`${stackName}\`] Terraform Plan 📖\`${planOutcome}\`
 
 ${
   remoteRunLink
@@ -40,6 +229,10 @@ ${
     : ""
 }
 
+Planned for ${sha}.
+
+${summary}
+
 <details><summary>Show Plan</summary>
 
 \`\`\`tf
@@ -48,12 +241,28 @@ ${plan}
 
 </details>
 
+${historySection}
+
 *Pusher: @${pusher}, Action: \`${actionName}\`, Working Directory: \`${workingDirectory}\`, Workflow: \`${workflowName}\`*`;
 
-  github.rest.issues.createComment({
-    issue_number: context.issue.number,
-    owner: context.repo.owner,
-    repo: context.repo.repo,
-    body: output,
-  });
+  if (existing) {
+    await github.rest.issues.updateComment({
+      owner,
+      repo,
+      comment_id: existing.comment.id,
+      body: output,
+    });
+    if (existing.state.obsolete) {
+      await setMinimized(github, existing.comment, false);
+    }
+    console.log(`Updated the plan comment of ${stackName}`);
+  } else {
+    await github.rest.issues.createComment({
+      issue_number: issueNumber,
+      owner,
+      repo,
+      body: output,
+    });
+    console.log(`Created the plan comment of ${stackName}`);
+  }
 };
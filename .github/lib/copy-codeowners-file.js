@@ -3,14 +3,58 @@
  * SPDX-License-Identifier: MPL-2.0
  */
 
-module.exports = () => {
+const ORG = "cdktn-io";
+const ownerRegex = /^@[A-Za-z0-9-]+(\/[A-Za-z0-9_.-]+)?$/;
+
+/**
+ * Generates the CODEOWNERS file of a provider repository: the admin teams of
+ * fleet.json own everything, the owners from provider.json additionally own
+ * the hand-maintained files. The bindings in src/ are regenerated by the
+ * upgrade workflows, so their reviews stay with the admin teams.
+ *
+ * @param {object} fleetConfig contents of fleet.json
+ * @param {object} entry catalog entry of the provider in provider.json
+ * @returns {string}
+ */
+function generateCodeowners(fleetConfig, entry) {
+  const teams = fleetConfig.teams || { "team-cdk-terrain": "admin" };
+  const coreTeams = Object.keys(teams)
+    .filter((slug) => teams[slug] === "admin")
+    .map((slug) => `@${ORG}/${slug}`);
+  const owners = (entry.owners || []).filter(
+    (owner) => !coreTeams.includes(owner),
+  );
+
+  const invalidOwners = owners.filter((owner) => !ownerRegex.test(owner));
+  if (invalidOwners.length > 0) {
+    throw new Error(`Invalid owners ${invalidOwners.join(", ")}`);
+  }
+
+  return [
+    "# Generated by cdktn-repository-manager from provider.json, do not edit.",
+    "# Manual changes are overwritten by the next run of the workflow.",
+    "",
+    "# Hand-maintained files",
+    `*       ${[...coreTeams, ...owners].join(" ")}`,
+    "",
+    "# Generated provider bindings",
+    `/src/   ${coreTeams.join(" ")}`,
+    "",
+  ].join("\n");
+}
+
+module.exports = ({ provider }) => {
   const path = require("path");
   const fs = require("fs");
   const mainFolder = path.join(process.env.GITHUB_WORKSPACE, "main");
-  const codeownersFile = fs.readFileSync(
-    path.join(mainFolder, ".github", "CODEOWNERS"),
-    "utf-8",
-  );
+  const readJson = (file) =>
+    JSON.parse(fs.readFileSync(path.join(mainFolder, file), "utf-8"));
+
+  const entry = readJson("provider.json")[provider];
+  if (!entry) {
+    throw new Error(`Provider ${provider} does not exist in provider.json`);
+  }
+  const codeownersFile = generateCodeowners(readJson("fleet.json"), entry);
 
   fs.mkdirSync(path.join(process.env.GITHUB_WORKSPACE, "provider", ".github"), {
     recursive: true,
@@ -26,3 +70,5 @@ module.exports = () => {
     codeownersFile,
   );
 };
+
+module.exports.generateCodeowners = generateCodeowners;
@@ -3,44 +3,169 @@
  * SPDX-License-Identifier: MPL-2.0
  */
 
+const maxRetries = 4;
+const baseDelay = 10_000;
+
+const isSecondaryRateLimit = (e) =>
+  (e.status === 403 || e.status === 429) &&
+  (e.response?.headers?.["retry-after"] !== undefined ||
+    /secondary rate limit/i.test(e.message));
+
+/**
+ * Calls the API, backing off on secondary rate limits, which many workflows
+ * creating PRs at once run into
+ */
+async function withRetry(request, sleep) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await request();
+    } catch (e) {
+      if (!isSecondaryRateLimit(e) || attempt >= maxRetries) throw e;
+      const retryAfter = Number(e.response?.headers?.["retry-after"]);
+      const delay =
+        retryAfter > 0 ? retryAfter * 1000 : baseDelay * 2 ** attempt;
+      console.log(`Hit a secondary rate limit, retrying in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
 module.exports = async ({
   github,
   branchName,
   providerName,
   prTitle,
+  prBody,
   fullRepoName,
   mergePullRequest,
+  owner = "cdktn-io",
+  labels = ["automerge", "auto-approve"],
+  reviewers = [],
+  teamReviewers = [],
+  // open PRs from branches with this prefix are closed as superseded, e.g.
+  // `upgrade-provider-project-` for `upgrade-provider-project-<run>-<attempt>`
+  supersedeBranchPrefix,
+  sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
 }) => {
   const { GITHUB_SERVER_URL, GITHUB_REPOSITORY, GITHUB_RUN_ID } = process.env;
   const url = `${GITHUB_SERVER_URL}/${GITHUB_REPOSITORY}/actions/runs/${GITHUB_RUN_ID}`;
   const repo = fullRepoName || `cdktn-provider-${providerName}`;
-  const owner = "cdktn-io";
-
-  const { data } = await github.rest.pulls.create({
-    owner,
-    repo,
-    head: branchName,
-    base: "main",
-    title: prTitle || "chore(deps): upgrade provider project",
-    maintainer_can_modify: true,
-    body: `Triggered by ${url}`,
-  });
-
-  console.log(`Created a PR: ${data.html_url}`);
-
-  await github.rest.issues.addLabels({
-    owner,
-    repo,
-    issue_number: data.number,
-    labels: ["automerge", "auto-approve"],
-  });
+  const call = (request) => withRetry(request, sleep);
 
-  if (mergePullRequest) {
-    await github.rest.pulls.merge({
+  const title = prTitle || "chore(deps): upgrade provider project";
+  // squash merges use the body as commit message, so footers like
+  // BREAKING CHANGE need to stay last
+  const body = [`Triggered by ${url}`, prBody].filter(Boolean).join("\n\n");
+
+  // re-runs push to the same branch, update its PR instead of failing
+  const {
+    data: [existing],
+  } = await call(() =>
+    github.rest.pulls.list({
       owner,
       repo,
-      pull_number: data.number,
-    });
+      head: `${owner}:${branchName}`,
+      state: "open",
+    }),
+  );
+
+  let data;
+  if (existing) {
+    ({ data } = await call(() =>
+      github.rest.pulls.update({
+        owner,
+        repo,
+        pull_number: existing.number,
+        title,
+        body,
+      }),
+    ));
+    console.log(`Updated the PR: ${data.html_url}`);
+  } else {
+    ({ data } = await call(() =>
+      github.rest.pulls.create({
+        owner,
+        repo,
+        head: branchName,
+        base: "main",
+        title,
+        maintainer_can_modify: true,
+        body,
+      }),
+    ));
+    console.log(`Created a PR: ${data.html_url}`);
+  }
+
+  // replaces the labels, so re-runs can drop a label the workflow no longer
+  // passes
+  if (labels.length > 0) {
+    await call(() =>
+      github.rest.issues.setLabels({
+        owner,
+        repo,
+        issue_number: data.number,
+        labels,
+      }),
+    );
+  }
+
+  if (reviewers.length > 0 || teamReviewers.length > 0) {
+    await call(() =>
+      github.rest.pulls.requestReviewers({
+        owner,
+        repo,
+        pull_number: data.number,
+        reviewers,
+        team_reviewers: teamReviewers,
+      }),
+    );
+  }
+
+  if (supersedeBranchPrefix) {
+    const open = await call(() =>
+      github.paginate(github.rest.pulls.list, {
+        owner,
+        repo,
+        state: "open",
+        per_page: 100,
+      }),
+    );
+    const superseded = open.filter(
+      (pull) =>
+        pull.number !== data.number &&
+        pull.head.ref.startsWith(supersedeBranchPrefix) &&
+        // only our own branches, not forks that happen to use the prefix
+        pull.head.repo?.full_name === `${owner}/${repo}`,
+    );
+    for (const pull of superseded) {
+      await call(() =>
+        github.rest.issues.createComment({
+          owner,
+          repo,
+          issue_number: pull.number,
+          body: `Superseded by #${data.number}.`,
+        }),
+      );
+      await call(() =>
+        github.rest.pulls.update({
+          owner,
+          repo,
+          pull_number: pull.number,
+          state: "closed",
+        }),
+      );
+      console.log(`Closed superseded PR: ${pull.html_url}`);
+    }
+  }
+
+  if (mergePullRequest) {
+    await call(() =>
+      github.rest.pulls.merge({
+        owner,
+        repo,
+        pull_number: data.number,
+      }),
+    );
 
     console.log(`Merged PR: ${data.html_url}`);
   }
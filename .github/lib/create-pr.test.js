@@ -0,0 +1,204 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: MPL-2.0
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert");
+const createPr = require("./create-pr");
+
+const rateLimit = (retryAfter) =>
+  Object.assign(new Error("You have exceeded a secondary rate limit"), {
+    status: 403,
+    response: {
+      headers: retryAfter !== undefined ? { "retry-after": retryAfter } : {},
+    },
+  });
+
+const pull = (number, ref = "upgrade", owner = "cdktn-io") => ({
+  number,
+  html_url: `https://github.com/cdktn-io/cdktn-provider-aws/pull/${number}`,
+  head: { ref, repo: { full_name: `${owner}/cdktn-provider-aws` } },
+});
+
+/**
+ * Records every call and answers from the given handlers, which may throw
+ * to simulate API errors
+ */
+function mockGithub({ openPulls = [], failures = {} } = {}) {
+  const calls = [];
+  const endpoint = (name, respond) => async (params) => {
+    calls.push({ name, params });
+    const failure = failures[name]?.shift();
+    if (failure) throw failure;
+    return { data: respond(params) };
+  };
+  const github = {
+    paginate: async (method, params) => (await method(params)).data,
+    rest: {
+      pulls: {
+        list: endpoint("pulls.list", (params) =>
+          params.head
+            ? openPulls.filter((p) => `cdktn-io:${p.head.ref}` === params.head)
+            : openPulls,
+        ),
+        create: endpoint("pulls.create", () => pull(42)),
+        update: endpoint("pulls.update", (params) => pull(params.pull_number)),
+        requestReviewers: endpoint("pulls.requestReviewers", () => ({})),
+        merge: endpoint("pulls.merge", () => ({})),
+      },
+      issues: {
+        setLabels: endpoint("issues.setLabels", () => []),
+        createComment: endpoint("issues.createComment", () => ({})),
+      },
+    },
+  };
+  return { github, calls };
+}
+
+const names = (calls) => calls.map((call) => call.name);
+
+const options = (github, overrides = {}) => ({
+  github,
+  branchName: "upgrade",
+  providerName: "aws",
+  prTitle: "chore(deps): upgrade",
+  prBody: "Body",
+  sleep: async () => {},
+  ...overrides,
+});
+
+test("creates a PR and sets its labels", async () => {
+  const { github, calls } = mockGithub();
+
+  await createPr(options(github));
+
+  assert.deepStrictEqual(names(calls), [
+    "pulls.list",
+    "pulls.create",
+    "issues.setLabels",
+  ]);
+  assert.strictEqual(calls[1].params.repo, "cdktn-provider-aws");
+  assert.match(calls[1].params.body, /\n\nBody$/);
+  assert.deepStrictEqual(calls[2].params, {
+    owner: "cdktn-io",
+    repo: "cdktn-provider-aws",
+    issue_number: 42,
+    labels: ["automerge", "auto-approve"],
+  });
+});
+
+test("updates the open PR of the branch instead of creating one", async () => {
+  const { github, calls } = mockGithub({ openPulls: [pull(7)] });
+
+  await createPr(options(github, { labels: ["automerge"] }));
+
+  assert.deepStrictEqual(names(calls), [
+    "pulls.list",
+    "pulls.update",
+    "issues.setLabels",
+  ]);
+  assert.strictEqual(calls[1].params.pull_number, 7);
+  assert.deepStrictEqual(calls[2].params.labels, ["automerge"]);
+});
+
+test("waits for retry-after on secondary rate limits", async () => {
+  const { github, calls } = mockGithub({
+    failures: { "pulls.create": [rateLimit("3"), rateLimit()] },
+  });
+  const delays = [];
+
+  await createPr(
+    options(github, { sleep: async (ms) => delays.push(ms), labels: [] }),
+  );
+
+  assert.deepStrictEqual(delays, [3000, 20_000]);
+  assert.deepStrictEqual(names(calls), [
+    "pulls.list",
+    "pulls.create",
+    "pulls.create",
+    "pulls.create",
+  ]);
+});
+
+test("gives up after the last retry", async () => {
+  const { github, calls } = mockGithub({
+    failures: { "pulls.create": Array.from({ length: 5 }, () => rateLimit()) },
+  });
+  const delays = [];
+
+  await assert.rejects(
+    createPr(options(github, { sleep: async (ms) => delays.push(ms) })),
+    /secondary rate limit/,
+  );
+  assert.deepStrictEqual(delays, [10_000, 20_000, 40_000, 80_000]);
+  assert.strictEqual(
+    names(calls).filter((name) => name === "pulls.create").length,
+    5,
+  );
+});
+
+test("does not retry other errors", async () => {
+  const { github } = mockGithub({
+    failures: {
+      "pulls.create": [
+        Object.assign(new Error("Validation Failed"), { status: 422 }),
+      ],
+    },
+  });
+  const delays = [];
+
+  await assert.rejects(
+    createPr(options(github, { sleep: async (ms) => delays.push(ms) })),
+    /Validation Failed/,
+  );
+  assert.deepStrictEqual(delays, []);
+});
+
+test("closes older PRs of the same workflow", async () => {
+  const { github, calls } = mockGithub({
+    openPulls: [
+      pull(1, "upgrade-provider-project-1"),
+      pull(2, "other-branch"),
+      // a fork that happens to use the prefix
+      pull(3, "upgrade-provider-project-1", "someone"),
+    ],
+  });
+
+  await createPr(
+    options(github, {
+      branchName: "upgrade-provider-project-2",
+      supersedeBranchPrefix: "upgrade-provider-project-",
+    }),
+  );
+
+  const comments = calls.filter((call) => call.name === "issues.createComment");
+  assert.deepStrictEqual(
+    comments.map((call) => [call.params.issue_number, call.params.body]),
+    [[1, "Superseded by #42."]],
+  );
+  const closed = calls.filter(
+    (call) => call.name === "pulls.update" && call.params.state === "closed",
+  );
+  assert.deepStrictEqual(
+    closed.map((call) => call.params.pull_number),
+    [1],
+  );
+});
+
+test("requests reviews and merges when asked to", async () => {
+  const { github, calls } = mockGithub();
+
+  await createPr(
+    options(github, {
+      reviewers: ["octocat"],
+      teamReviewers: ["maintainers"],
+      mergePullRequest: true,
+    }),
+  );
+
+  const review = calls.find((call) => call.name === "pulls.requestReviewers");
+  assert.deepStrictEqual(review.params.reviewers, ["octocat"]);
+  assert.deepStrictEqual(review.params.team_reviewers, ["maintainers"]);
+  assert.strictEqual(names(calls).at(-1), "pulls.merge");
+});
@@ -7,20 +7,26 @@ module.exports = ({ providerName }) => {
   const path = require("path");
   const fs = require("fs");
   const mainFolder = path.join(process.env.GITHUB_WORKSPACE, "main");
-  const provider = require(path.join(mainFolder, "provider.json"));
-  const providerVersion = provider[providerName];
-  const providersWithCustomRunners = require(
-    path.join(mainFolder, "providersWithCustomRunners.json"),
-  );
-  const useCustomGithubRunner =
-    providersWithCustomRunners.includes(providerName);
+  const catalog = require(path.join(mainFolder, "provider.json"));
+  const provider = catalog[providerName];
+  if (!provider) {
+    throw new Error(`Provider ${providerName} not found in provider.json`);
+  }
+  const useCustomGithubRunner = provider.runner === "custom";
+  // main requires the package-* checks of these languages, so the project
+  // needs to build them
+  const fleet = require(path.join(mainFolder, "fleet.json"));
+  const defaultLanguages = ["typescript", "python", "go"]; // defaultProviderLanguages of lib/provider-catalog.ts
+  const languages =
+    provider.languages ?? fleet.providerLanguages ?? defaultLanguages;
   const template = fs.readFileSync(
     path.join(mainFolder, "projenrc.template.js"),
     "utf-8",
   );
   const projenrc = template
-    .replace("__PROVIDER__", providerVersion)
-    .replace("__CUSTOM_RUNNER__", useCustomGithubRunner);
+    .replace("__PROVIDER__", provider.terraformProvider)
+    .replace("__CUSTOM_RUNNER__", useCustomGithubRunner)
+    .replace("__LANGUAGES__", JSON.stringify(languages));
   fs.writeFileSync(
     path.join(process.env.GITHUB_WORKSPACE, "provider", ".projenrc.js"),
     projenrc,
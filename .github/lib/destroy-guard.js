@@ -0,0 +1,91 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: MPL-2.0
+ */
+
+const { changesFromPlanJson, isDestructive } = require("./plan-summary");
+
+/**
+ * Labels of the pull request being planned, or of the pull requests that
+ * merged the deployed commit. Read from the API, the event payload is stale
+ * when a run is re-run after labeling.
+ */
+async function pullRequestLabels(github, context) {
+  const { owner, repo } = context.repo;
+  const pullNumbers = context.payload.pull_request
+    ? [context.payload.pull_request.number]
+    : (
+        await github.rest.repos.listPullRequestsAssociatedWithCommit({
+          owner,
+          repo,
+          commit_sha: context.sha,
+        })
+      ).data.map((pull) => pull.number);
+
+  const labels = await Promise.all(
+    pullNumbers.map(async (issueNumber) =>
+      (
+        await github.paginate(github.rest.issues.listLabelsOnIssue, {
+          owner,
+          repo,
+          issue_number: issueNumber,
+        })
+      ).map((label) => label.name),
+    ),
+  );
+  return labels.flat();
+}
+
+module.exports = async ({
+  core,
+  github,
+  context,
+  stackName,
+  overrideLabel = "allow-destroy",
+}) => {
+  const { readFileSync } = require("fs");
+
+  // written by `terraform show -json`
+  let changes;
+  try {
+    changes = changesFromPlanJson(
+      JSON.parse(readFileSync(`./plan_${stackName}.json`, "utf-8")),
+    );
+  } catch (e) {
+    core.setFailed(
+      `Can't check the plan of ${stackName} for destroyed resources: ${e.message}`,
+    );
+    return;
+  }
+
+  const destructive = changes.filter(isDestructive);
+  if (destructive.length === 0) {
+    console.log(
+      `The plan of ${stackName} doesn't destroy repositories, branch protections, rulesets, environments or secrets`,
+    );
+    return;
+  }
+
+  const list = destructive
+    .map((change) => `- ${change.address} (${change.action})`)
+    .join("\n");
+  await core.summary
+    .addHeading(`Destroy guard: ${stackName}`, 3)
+    .addList(
+      destructive.map(
+        (change) => `<code>${change.address}</code> (${change.action})`,
+      ),
+    )
+    .write();
+
+  if ((await pullRequestLabels(github, context)).includes(overrideLabel)) {
+    core.warning(
+      `The plan of ${stackName} destroys or replaces ${destructive.length} protected resources, allowed by the "${overrideLabel}" label:\n${list}`,
+    );
+    return;
+  }
+
+  core.setFailed(
+    `The plan of ${stackName} destroys or replaces ${destructive.length} protected resources:\n${list}\n\nAdd the "${overrideLabel}" label to the pull request and re-run the workflow if this is intended.`,
+  );
+};
@@ -0,0 +1,193 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: MPL-2.0
+ */
+
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const destroyGuard = require("./destroy-guard");
+
+// the guard reads plan_<stack>.json from the working directory
+const cwd = process.cwd();
+beforeEach(() => {
+  process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), "destroy-guard-")));
+});
+afterEach(() => {
+  const dir = process.cwd();
+  process.chdir(cwd);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const writePlan = (...resourceChanges) =>
+  fs.writeFileSync(
+    "plan_repos.json",
+    JSON.stringify({
+      resource_changes: resourceChanges.map(([type, name, actions]) => ({
+        address: `${type}.${name}`,
+        mode: "managed",
+        type,
+        name,
+        change: { actions },
+      })),
+    }),
+  );
+
+function mockCore() {
+  const core = {
+    failed: [],
+    warnings: [],
+    summaries: [],
+    setFailed: (message) => core.failed.push(message),
+    warning: (message) => core.warnings.push(message),
+    summary: {
+      addHeading: () => core.summary,
+      addList: (items) => {
+        core.summaries.push(items);
+        return core.summary;
+      },
+      write: async () => {},
+    },
+  };
+  return core;
+}
+
+/**
+ * Answers the label lookups with the labels of each pull request
+ */
+function mockGithub(labelsByPull = {}) {
+  const calls = [];
+  return {
+    calls,
+    paginate: async (method, params) => (await method(params)).data,
+    rest: {
+      repos: {
+        listPullRequestsAssociatedWithCommit: async (params) => {
+          calls.push("repos.listPullRequestsAssociatedWithCommit");
+          assert.strictEqual(params.commit_sha, "abc123");
+          return {
+            data: Object.keys(labelsByPull).map((number) => ({
+              number: Number(number),
+            })),
+          };
+        },
+      },
+      issues: {
+        listLabelsOnIssue: async ({ issue_number }) => {
+          calls.push("issues.listLabelsOnIssue");
+          return {
+            data: (labelsByPull[issue_number] ?? []).map((name) => ({ name })),
+          };
+        },
+      },
+    },
+  };
+}
+
+const context = (pullNumber) => ({
+  repo: { owner: "cdktn-io", repo: "cdktn-repository-manager" },
+  sha: "abc123",
+  payload: pullNumber ? { pull_request: { number: pullNumber } } : {},
+});
+
+test("passes plans without destructive changes", async () => {
+  writePlan(
+    ["github_issue_label", "cdktn-provider-aws_automerge", ["delete"]],
+    ["github_repository", "cdktn-provider-aws_repo", ["update"]],
+  );
+  const core = mockCore();
+  const github = mockGithub();
+
+  await destroyGuard({ core, github, context: context(1), stackName: "repos" });
+
+  assert.deepStrictEqual(core.failed, []);
+  assert.deepStrictEqual(core.summaries, []);
+  assert.deepStrictEqual(github.calls, []);
+});
+
+test("fails plans destroying protected resources", async () => {
+  writePlan(
+    ["github_repository", "cdktn-provider-aws_repo", ["delete"]],
+    ["github_actions_secret", "cdktn-provider-aws_npm", ["delete", "create"]],
+  );
+  const core = mockCore();
+
+  await destroyGuard({
+    core,
+    github: mockGithub({ 1: ["automerge"] }),
+    context: context(1),
+    stackName: "repos",
+  });
+
+  assert.strictEqual(core.failed.length, 1);
+  assert.match(
+    core.failed[0],
+    /destroys or replaces 2 protected resources:\n- github_repository.cdktn-provider-aws_repo \(delete\)\n- github_actions_secret.cdktn-provider-aws_npm \(replace\)/,
+  );
+  assert.match(core.failed[0], /Add the "allow-destroy" label/);
+  assert.deepStrictEqual(core.summaries, [
+    [
+      "<code>github_repository.cdktn-provider-aws_repo</code> (delete)",
+      "<code>github_actions_secret.cdktn-provider-aws_npm</code> (replace)",
+    ],
+  ]);
+});
+
+test("allows destructive changes of labeled pull requests", async () => {
+  writePlan([
+    "github_branch_protection",
+    "cdktn-provider-aws_main",
+    ["delete"],
+  ]);
+  const core = mockCore();
+
+  await destroyGuard({
+    core,
+    github: mockGithub({ 1: ["allow-destroy"] }),
+    context: context(1),
+    stackName: "repos",
+  });
+
+  assert.deepStrictEqual(core.failed, []);
+  assert.strictEqual(core.warnings.length, 1);
+  assert.match(core.warnings[0], /allowed by the "allow-destroy" label/);
+});
+
+test("reads the labels of the merged pull requests on deploys", async () => {
+  writePlan([
+    "github_repository_ruleset",
+    "cdktn-provider-aws_main",
+    ["delete"],
+  ]);
+  const core = mockCore();
+  const github = mockGithub({ 7: [], 8: ["allow-destroy"] });
+
+  await destroyGuard({ core, github, context: context(), stackName: "repos" });
+
+  assert.deepStrictEqual(core.failed, []);
+  assert.strictEqual(core.warnings.length, 1);
+  assert.deepStrictEqual(github.calls, [
+    "repos.listPullRequestsAssociatedWithCommit",
+    "issues.listLabelsOnIssue",
+    "issues.listLabelsOnIssue",
+  ]);
+});
+
+test("fails when the plan can't be read", async () => {
+  const core = mockCore();
+
+  await destroyGuard({
+    core,
+    github: mockGithub(),
+    context: context(1),
+    stackName: "repos",
+  });
+
+  assert.strictEqual(core.failed.length, 1);
+  assert.match(
+    core.failed[0],
+    /^Can't check the plan of repos for destroyed resources: ENOENT/,
+  );
+});
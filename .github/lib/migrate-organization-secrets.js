@@ -0,0 +1,245 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: MPL-2.0
+ */
+
+/**
+ * Organization Secrets Migration Script
+ *
+ * Removes repository secrets that are replaced by organization secrets. A
+ * repository secret is only deleted once the organization secret of the same
+ * name exists and the repository is selected for it, so publishing never
+ * runs without credentials.
+ *
+ * Migration:
+ *   1. Set "secrets": { "scope": "both" } in fleet.json and deploy
+ *   2. Set "secrets": { "scope": "organization" } in fleet.json in a PR
+ *   3. On that branch: yarn synth && node .github/lib/migrate-organization-secrets.js cdktf.out/stacks --yes
+ *   4. Merge the PR right away. Terraform notices the deleted repository
+ *      secrets and drops them from its state. Any deploy of the "both" scope
+ *      in between recreates them, so the script refuses stacks that still
+ *      manage repository secrets.
+ *
+ * Usage:
+ *   node migrate-organization-secrets.js <stacks-dir>         # Dry-run mode (default)
+ *   node migrate-organization-secrets.js <stacks-dir> --yes   # Delete repository secrets
+ */
+
+const { execSync } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+
+const ORG = "cdktn-io";
+
+const args = process.argv.slice(2);
+const dryRun = !args.includes("--yes");
+const stacksDir = args.find((arg) => !arg.startsWith("--"));
+
+if (!stacksDir) {
+  console.error(
+    "Usage: node migrate-organization-secrets.js <stacks-dir> [--yes]",
+  );
+  console.error("");
+  console.error("Example:");
+  console.error(
+    "  node .github/lib/migrate-organization-secrets.js cdktf.out/stacks",
+  );
+  process.exit(1);
+}
+
+if (!fs.existsSync(stacksDir)) {
+  console.error(`❌ Error: Stacks directory does not exist: ${stacksDir}`);
+  console.error('   Make sure you run "yarn synth" first.');
+  process.exit(1);
+}
+
+/**
+ * Collect the organization secrets and their selected repositories from all
+ * synthesized stacks
+ *
+ * @returns {Map<string, string[]>} secret name to repository names
+ */
+function collectOrganizationSecrets(stacksDir) {
+  const secrets = new Map();
+
+  fs.readdirSync(stacksDir).forEach((stack) => {
+    const cdkTfJsonPath = path.join(stacksDir, stack, "cdk.tf.json");
+    if (!fs.existsSync(cdkTfJsonPath)) return;
+
+    const cdkTfJson = JSON.parse(fs.readFileSync(cdkTfJsonPath, "utf8"));
+    const resources =
+      (cdkTfJson.resource || {}).github_actions_organization_secret || {};
+
+    Object.values(resources).forEach((secret) => {
+      // selected_repository_ids is an expression over the repository names:
+      // ${[for name in ["repo-a","repo-b"] : ...]}
+      const match = /for name in (\[[^\]]*\])/.exec(
+        secret.selected_repository_ids,
+      );
+      if (!match) {
+        console.warn(
+          `⚠️  Could not read the repositories of ${secret.secret_name}, skipping`,
+        );
+        return;
+      }
+      secrets.set(secret.secret_name, JSON.parse(match[1]));
+    });
+  });
+
+  return secrets;
+}
+
+/**
+ * @returns {Set<string>} repository secrets managed by the stacks, as
+ * `<repository>/<secret name>`
+ */
+function collectRepositorySecrets(stacksDir) {
+  const secrets = new Set();
+
+  fs.readdirSync(stacksDir).forEach((stack) => {
+    const cdkTfJsonPath = path.join(stacksDir, stack, "cdk.tf.json");
+    if (!fs.existsSync(cdkTfJsonPath)) return;
+
+    const cdkTfJson = JSON.parse(fs.readFileSync(cdkTfJsonPath, "utf8"));
+    // secrets reference the name of their repository resource or data source
+    const repositoryNames = {};
+    [
+      ["github_repository", (cdkTfJson.resource || {}).github_repository],
+      ["data.github_repository", (cdkTfJson.data || {}).github_repository],
+    ].forEach(([type, repositories]) => {
+      Object.entries(repositories || {}).forEach(([id, repository]) => {
+        repositoryNames[`\${${type}.${id}.name}`] = repository.name;
+      });
+    });
+
+    const resources = (cdkTfJson.resource || {}).github_actions_secret || {};
+    Object.values(resources).forEach((secret) => {
+      const repoName = repositoryNames[secret.repository] ?? secret.repository;
+      secrets.add(`${repoName}/${secret.secret_name}`);
+    });
+  });
+
+  return secrets;
+}
+
+/**
+ * @returns {Set<string>|null} repositories selected for the organization secret, null if it does not exist
+ */
+function getSelectedRepositories(secretName) {
+  try {
+    const output = execSync(
+      `gh api --paginate /orgs/${ORG}/actions/secrets/${secretName}/repositories --jq '.repositories[].name'`,
+      { stdio: "pipe" },
+    );
+    return new Set(output.toString().split("\n").filter(Boolean));
+  } catch (error) {
+    return null;
+  }
+}
+
+function hasRepositorySecret(repoName, secretName) {
+  try {
+    execSync(
+      `gh api /repos/${ORG}/${repoName}/actions/secrets/${secretName} --silent`,
+      { stdio: "pipe" },
+    );
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function deleteRepositorySecret(repoName, secretName) {
+  execSync(
+    `gh api -X DELETE /repos/${ORG}/${repoName}/actions/secrets/${secretName} --silent`,
+    { stdio: "pipe" },
+  );
+}
+
+function main() {
+  console.log(`🔐 Organization Secrets Migration ${dryRun ? "(DRY RUN)" : ""}`);
+  console.log("");
+
+  const secrets = collectOrganizationSecrets(stacksDir);
+  if (secrets.size === 0) {
+    console.error(
+      "❌ Error: No organization secrets found in the synthesized stacks",
+    );
+    console.error(
+      '   Set "secrets": { "scope": "organization" } in fleet.json and run "yarn synth" first.',
+    );
+    process.exit(1);
+  }
+
+  // deploying these stacks would recreate the deleted repository secrets
+  const repositorySecrets = collectRepositorySecrets(stacksDir);
+  const managed = [...secrets.entries()].flatMap(([secretName, repositories]) =>
+    repositories
+      .map((repoName) => `${repoName}/${secretName}`)
+      .filter((secret) => repositorySecrets.has(secret)),
+  );
+  if (managed.length > 0) {
+    console.error(
+      `❌ Error: The stacks still manage ${managed.length} repository secrets, e.g. ${managed.slice(0, 3).join(", ")}`,
+    );
+    console.error(
+      '   Set "secrets": { "scope": "organization" } in fleet.json and run "yarn synth" first.',
+    );
+    process.exit(1);
+  }
+
+  let deleted = 0;
+  let blocked = 0;
+
+  secrets.forEach((repositories, secretName) => {
+    console.log(`${secretName}:`);
+
+    const selected = getSelectedRepositories(secretName);
+    if (!selected) {
+      console.log(
+        `   ❌ Organization secret does not exist yet, deploy the "both" scope first`,
+      );
+      blocked += repositories.length;
+      return;
+    }
+
+    repositories.forEach((repoName) => {
+      if (!hasRepositorySecret(repoName, secretName)) {
+        console.log(`   ⏭️  ${repoName}: no repository secret`);
+        return;
+      }
+      if (!selected.has(repoName)) {
+        console.log(
+          `   ❌ ${repoName}: not selected for the organization secret yet, keeping the repository secret`,
+        );
+        blocked++;
+        return;
+      }
+
+      if (dryRun) {
+        console.log(`   🗑️  ${repoName}: would delete the repository secret`);
+      } else {
+        deleteRepositorySecret(repoName, secretName);
+        console.log(`   ✅ ${repoName}: deleted the repository secret`);
+      }
+      deleted++;
+    });
+  });
+
+  console.log("");
+  console.log(
+    `${dryRun ? "Would delete" : "Deleted"} ${deleted} repository secrets, kept ${blocked}`,
+  );
+
+  if (blocked > 0) {
+    console.log(
+      '⚠️  Deploy the primary stack and run this script again before switching to the "organization" scope',
+    );
+    process.exit(1);
+  }
+  if (dryRun && deleted > 0) {
+    console.log("💡 Run with --yes to delete the repository secrets");
+  }
+}
+
+main();
@@ -0,0 +1,179 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: MPL-2.0
+ */
+
+// Summarizes a Terraform plan, preferably `terraform show -json`, by action
+// per resource type and per repository. Resource names start with the id of
+// the top-level construct, which is the repository name, e.g.
+// `cdktn-provider-aws_repo_7B884DD9`.
+
+const actions = ["create", "update", "replace", "delete"];
+const actionTitles = {
+  create: "Create",
+  update: "Update",
+  replace: "Replace",
+  delete: "Destroy",
+};
+
+/**
+ * @param {string[]} planActions e.g. `["delete", "create"]`
+ * @returns {string | undefined} one of `actions`, undefined for no-ops and reads
+ */
+function actionOf(planActions) {
+  if (planActions.includes("delete") && planActions.includes("create")) {
+    return "replace";
+  }
+  return actions.find((action) => planActions.includes(action));
+}
+
+/**
+ * @returns {{ address: string, type: string, name: string, action: string }[]}
+ */
+function changesFromPlanJson(plan) {
+  return (plan.resource_changes ?? [])
+    .filter((change) => change.mode === "managed")
+    .map((change) => ({
+      address: change.address,
+      type: change.type,
+      name: change.name,
+      action: actionOf(change.change.actions),
+    }))
+    .filter((change) => change.action);
+}
+
+const textActions = {
+  "will be created": "create",
+  "will be updated in-place": "update",
+  "must be replaced": "replace",
+  "will be replaced, as requested": "replace",
+  "will be destroyed": "delete",
+};
+const textChangeRegex = new RegExp(
+  `^\\s*# (\\S+)(?: \\(deposed object \\w+\\))? (${Object.keys(textActions).join("|")})`,
+  "gm",
+);
+
+/**
+ * Fallback for plans that couldn't be saved, e.g. remote runs
+ *
+ * @returns {{ address: string, type: string, name: string, action: string }[]}
+ */
+function changesFromPlanText(text) {
+  return [...text.matchAll(textChangeRegex)]
+    .map(([, address, description]) => {
+      // module.x.github_repository.name["key"]
+      const [type, name] = address
+        .replace(/^(module\.[^.]+\.)+/, "")
+        .split(".");
+      return { address, type, name, action: textActions[description] };
+    })
+    .filter((change) => !change.address.startsWith("data."));
+}
+
+const repositoryOf = (change) => change.name.split("_")[0];
+
+/**
+ * Destroying these loses history, settings or credentials that can't be
+ * recreated from the configuration
+ */
+function isDestructive(change) {
+  return (
+    (change.action === "delete" || change.action === "replace") &&
+    (change.type === "github_repository" ||
+      change.type === "github_branch_protection" ||
+      change.type === "github_repository_ruleset" ||
+      change.type === "github_repository_environment" ||
+      change.type.includes("secret"))
+  );
+}
+
+const emptyCounts = () =>
+  Object.fromEntries(actions.map((action) => [action, 0]));
+
+const countBy = (changes, keyOf) => {
+  const counts = {};
+  changes.forEach((change) => {
+    const key = keyOf(change);
+    counts[key] ??= emptyCounts();
+    counts[key][change.action]++;
+  });
+  return counts;
+};
+
+/**
+ * @returns {object} totals, counts by resource type and by repository and the
+ * destructive changes
+ */
+function summarizePlan(changes) {
+  return {
+    totals: countBy(changes, () => "total").total ?? emptyCounts(),
+    byType: countBy(changes, (change) => change.type),
+    byRepository: countBy(changes, repositoryOf),
+    destructive: changes.filter(isDestructive),
+  };
+}
+
+function renderTable(title, counts) {
+  const cell = (count) => (count > 0 ? String(count) : "");
+  return [
+    `| ${title} | ${actions.map((action) => actionTitles[action]).join(" | ")} |`,
+    `| --- | ${actions.map(() => "---:").join(" | ")} |`,
+    ...Object.keys(counts)
+      .sort()
+      .map(
+        (key) =>
+          `| \`${key}\` | ${actions.map((action) => cell(counts[key][action])).join(" | ")} |`,
+      ),
+  ].join("\n");
+}
+
+/**
+ * @returns {string} Markdown with the destructive changes first
+ */
+function renderPlanSummary(summary) {
+  const { totals } = summary;
+  if (actions.every((action) => totals[action] === 0)) {
+    return "No changes.";
+  }
+
+  const sections = [];
+  if (summary.destructive.length > 0) {
+    sections.push(
+      [
+        "> [!CAUTION]",
+        `> **${summary.destructive.length} destructive changes** to repositories, branch protections, rulesets, environments or secrets:`,
+        ">",
+        ...summary.destructive
+          .slice(0, 50)
+          .map(
+            (change) =>
+              `> - \`${change.address}\` (${actionTitles[change.action].toLowerCase()})`,
+          ),
+        ...(summary.destructive.length > 50
+          ? [`> - and ${summary.destructive.length - 50} more`]
+          : []),
+      ].join("\n"),
+    );
+  }
+  sections.push(
+    `**Plan:** ${totals.create} to create, ${totals.update} to update, ${totals.replace} to replace, ${totals.delete} to destroy.`,
+    renderTable("Resource type", summary.byType),
+    [
+      `<details><summary>Changes per repository (${Object.keys(summary.byRepository).length})</summary>`,
+      "",
+      renderTable("Repository", summary.byRepository),
+      "",
+      "</details>",
+    ].join("\n"),
+  );
+  return sections.join("\n\n");
+}
+
+module.exports = {
+  changesFromPlanJson,
+  changesFromPlanText,
+  isDestructive,
+  summarizePlan,
+  renderPlanSummary,
+};
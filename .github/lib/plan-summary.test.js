@@ -0,0 +1,150 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: MPL-2.0
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert");
+const {
+  changesFromPlanJson,
+  changesFromPlanText,
+  isDestructive,
+  summarizePlan,
+  renderPlanSummary,
+} = require("./plan-summary");
+
+const change = (type, name, action) => ({
+  address: `${type}.${name}`,
+  type,
+  name,
+  action,
+});
+
+const resourceChange = (type, name, actions, mode = "managed") => ({
+  address: `${type}.${name}`,
+  mode,
+  type,
+  name,
+  change: { actions },
+});
+
+test("only reports destroyed or replaced repositories, protections, rulesets, environments and secrets", () => {
+  const destructive = [
+    change("github_repository", "cdktn-provider-aws_repo_1", "delete"),
+    change("github_repository", "cdktn-provider-aws_repo_1", "replace"),
+    change("github_branch_protection", "cdktn-provider-aws_main_2", "delete"),
+    change("github_repository_ruleset", "cdktn-provider-aws_main_3", "delete"),
+    change("github_repository_environment", "cdktn-provider-aws_env", "delete"),
+    change("github_actions_secret", "cdktn-provider-aws_npm", "delete"),
+    change(
+      "github_actions_environment_secret",
+      "cdktn-provider-aws_n",
+      "replace",
+    ),
+    change("github_actions_organization_secret", "npm", "delete"),
+  ];
+  const harmless = [
+    change("github_issue_label", "cdktn-provider-aws_automerge", "delete"),
+    change("github_repository_webhook", "cdktn-provider-aws_slack", "replace"),
+    change("github_repository", "cdktn-provider-aws_repo_1", "update"),
+    change("github_actions_secret", "cdktn-provider-aws_npm", "create"),
+  ];
+
+  assert.deepStrictEqual(
+    destructive.filter((c) => !isDestructive(c)),
+    [],
+  );
+  assert.deepStrictEqual(harmless.filter(isDestructive), []);
+  assert.deepStrictEqual(
+    summarizePlan([...harmless, ...destructive]).destructive,
+    destructive,
+  );
+});
+
+test("reads actions from the plan JSON", () => {
+  const changes = changesFromPlanJson({
+    resource_changes: [
+      resourceChange("github_repository", "cdktn-provider-aws_repo", [
+        "delete",
+        "create",
+      ]),
+      resourceChange("github_issue_label", "cdktn-provider-aws_label", [
+        "create",
+      ]),
+      resourceChange("github_team_repository", "cdktn-provider-aws_team", [
+        "no-op",
+      ]),
+      resourceChange(
+        "github_repository",
+        "cdktn-provider-aws_repo",
+        ["read"],
+        "data",
+      ),
+    ],
+  });
+
+  assert.deepStrictEqual(
+    changes.map(({ type, action }) => [type, action]),
+    [
+      ["github_repository", "replace"],
+      ["github_issue_label", "create"],
+    ],
+  );
+});
+
+test("falls back to the plan text", () => {
+  const changes = changesFromPlanText(
+    [
+      "  # github_repository.cdktn-provider-aws_repo_1 will be destroyed",
+      "  # module.x.github_actions_secret.cdktn-provider-aws_npm must be replaced",
+      "  # github_issue_label.cdktn-provider-aws_label (deposed object 1a2b3c) will be destroyed",
+      "  # data.github_repository.cdktn-provider-aws will be read during apply",
+      "  # github_issue_label.cdktn-provider-aws_automerge will be updated in-place",
+    ].join("\n"),
+  );
+
+  assert.deepStrictEqual(
+    changes.map(({ type, name, action }) => [type, name, action]),
+    [
+      ["github_repository", "cdktn-provider-aws_repo_1", "delete"],
+      ["github_actions_secret", "cdktn-provider-aws_npm", "replace"],
+      ["github_issue_label", "cdktn-provider-aws_label", "delete"],
+      ["github_issue_label", "cdktn-provider-aws_automerge", "update"],
+    ],
+  );
+});
+
+test("counts changes per type and repository", () => {
+  const summary = summarizePlan([
+    change("github_issue_label", "cdktn-provider-aws_automerge", "create"),
+    change("github_issue_label", "cdktn-provider-aws_no-auto-close", "create"),
+    change("github_issue_label", "cdktn-provider-google_automerge", "update"),
+  ]);
+
+  assert.deepStrictEqual(summary.totals, {
+    create: 2,
+    update: 1,
+    replace: 0,
+    delete: 0,
+  });
+  assert.deepStrictEqual(Object.keys(summary.byRepository), [
+    "cdktn-provider-aws",
+    "cdktn-provider-google",
+  ]);
+  assert.strictEqual(summary.byType.github_issue_label.create, 2);
+});
+
+test("puts destructive changes first", () => {
+  const markdown = renderPlanSummary(
+    summarizePlan([
+      change("github_issue_label", "cdktn-provider-aws_automerge", "create"),
+      change("github_repository", "cdktn-provider-aws_repo_1", "delete"),
+    ]),
+  );
+
+  assert.match(
+    markdown,
+    /^> \[!CAUTION\]\n> \*\*1 destructive changes\*\*.*\n>\n> - `github_repository.cdktn-provider-aws_repo_1` \(destroy\)\n\n\*\*Plan:\*\* 1 to create, 0 to update, 0 to replace, 1 to destroy\./,
+  );
+  assert.strictEqual(renderPlanSummary(summarizePlan([])), "No changes.");
+});
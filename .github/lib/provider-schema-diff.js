@@ -0,0 +1,267 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: MPL-2.0
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Compares `terraform providers schema -json` of two provider versions. The
+// bindings mirror the schema, so removed resources, data sources and
+// attributes and changed attribute types break code using them.
+
+/**
+ * Fetches the schema of a single provider version by initializing an empty
+ * configuration requiring it
+ *
+ * @param {object} exec the @actions/exec module
+ * @param {string} source provider address, e.g. `registry.terraform.io/hashicorp/aws`
+ * @param {string} version exact version, e.g. `6.0.0`
+ * @returns {Promise<object>} the schema of the provider
+ */
+async function fetchProviderSchema(exec, source, version) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "provider-schema-"));
+  try {
+    fs.writeFileSync(
+      path.join(dir, "main.tf.json"),
+      JSON.stringify({
+        terraform: {
+          required_providers: { provider: { source, version: `= ${version}` } },
+        },
+      }),
+    );
+    await exec.getExecOutput("terraform", ["init", "-backend=false"], {
+      cwd: dir,
+      silent: true,
+    });
+    const { stdout } = await exec.getExecOutput(
+      "terraform",
+      ["providers", "schema", "-json"],
+      { cwd: dir, silent: true },
+    );
+    const schemas = JSON.parse(stdout).provider_schemas ?? {};
+    // the address is normalized, e.g. `hashicorp/aws` becomes
+    // `registry.terraform.io/hashicorp/aws`
+    const schema =
+      schemas[source] ??
+      Object.entries(schemas).find(([address]) =>
+        address.endsWith(`/${source}`),
+      )?.[1];
+    if (!schema) {
+      throw new Error(`terraform returned no schema for ${source}`);
+    }
+    return schema;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Formats a type like Terraform, e.g. `list(string)`. Object attributes are
+ * sorted, so reordering them is no change.
+ */
+function formatType(type) {
+  if (!Array.isArray(type)) return String(type);
+  const [kind, element] = type;
+  if (kind === "object") {
+    return `object({${Object.keys(element)
+      .sort()
+      .map((name) => `${name}=${formatType(element[name])}`)
+      .join(", ")}})`;
+  }
+  if (kind === "tuple") return `tuple([${element.map(formatType).join(", ")}])`;
+  return `${kind}(${formatType(element)})`;
+}
+
+const typeOf = (attribute) =>
+  attribute.nested_type
+    ? `nested(${attribute.nested_type.nesting_mode})`
+    : formatType(attribute.type);
+
+/**
+ * Flattens a block into `path => type`, including nested blocks and
+ * nested attributes
+ */
+function flattenBlock(block = {}, prefix = "", into = new Map()) {
+  Object.entries(block.attributes ?? {}).forEach(([name, attribute]) => {
+    const attributePath = `${prefix}${name}`;
+    into.set(attributePath, typeOf(attribute));
+    if (attribute.nested_type) {
+      flattenBlock(attribute.nested_type, `${attributePath}.`, into);
+    }
+  });
+  Object.entries(block.block_types ?? {}).forEach(([name, blockType]) => {
+    const blockPath = `${prefix}${name}`;
+    into.set(blockPath, `block(${blockType.nesting_mode})`);
+    flattenBlock(blockType.block, `${blockPath}.`, into);
+  });
+  return into;
+}
+
+/**
+ * @returns {{ removed: string[], changed: { path: string, before: string, after: string }[] }}
+ */
+function diffBlocks(before, after, prefix) {
+  const beforePaths = flattenBlock(before);
+  const afterPaths = flattenBlock(after);
+  const removed = [];
+  const changed = [];
+  beforePaths.forEach((type, attributePath) => {
+    // children of removed attributes are implied
+    const parent = attributePath.split(".").slice(0, -1).join(".");
+    if (parent && !afterPaths.has(parent)) return;
+
+    if (!afterPaths.has(attributePath)) {
+      removed.push(`${prefix}.${attributePath}`);
+    } else if (afterPaths.get(attributePath) !== type) {
+      changed.push({
+        path: `${prefix}.${attributePath}`,
+        before: type,
+        after: afterPaths.get(attributePath),
+      });
+    }
+  });
+  return { removed, changed };
+}
+
+function diffSchemaMap(before = {}, after = {}) {
+  const added = Object.keys(after).filter((name) => !(name in before));
+  const removed = Object.keys(before).filter((name) => !(name in after));
+  const attributes = Object.keys(before)
+    .filter((name) => name in after)
+    .map((name) => diffBlocks(before[name].block, after[name].block, name));
+  return {
+    added: added.sort(),
+    removed: removed.sort(),
+    removedAttributes: attributes.flatMap((diff) => diff.removed).sort(),
+    changedAttributes: attributes.flatMap((diff) => diff.changed),
+  };
+}
+
+/**
+ * Compares two provider schemas
+ *
+ * @returns {object} added and removed resources and data sources, removed
+ * attributes and attributes with a changed type
+ */
+function diffProviderSchemas(before, after) {
+  const resources = diffSchemaMap(
+    before.resource_schemas,
+    after.resource_schemas,
+  );
+  const dataSources = diffSchemaMap(
+    before.data_source_schemas,
+    after.data_source_schemas,
+  );
+  const provider = diffBlocks(
+    before.provider?.block,
+    after.provider?.block,
+    "provider",
+  );
+
+  return {
+    addedResources: resources.added,
+    removedResources: resources.removed,
+    addedDataSources: dataSources.added,
+    removedDataSources: dataSources.removed,
+    removedAttributes: [
+      ...provider.removed,
+      ...resources.removedAttributes,
+      ...dataSources.removedAttributes.map((name) => `data.${name}`),
+    ],
+    changedAttributes: [
+      ...provider.changed,
+      ...resources.changedAttributes,
+      ...dataSources.changedAttributes.map((change) => ({
+        ...change,
+        path: `data.${change.path}`,
+      })),
+    ],
+  };
+}
+
+/**
+ * The bindings lose surface area when anything is removed or changes its
+ * type, additions are features
+ */
+function isBreakingSchemaDiff(diff) {
+  return (
+    diff.removedResources.length > 0 ||
+    diff.removedDataSources.length > 0 ||
+    diff.removedAttributes.length > 0 ||
+    diff.changedAttributes.length > 0
+  );
+}
+
+const list = (items, limit = 5) =>
+  items.length > limit
+    ? `${items.slice(0, limit).join(", ")} and ${items.length - limit} more`
+    : items.join(", ");
+
+/**
+ * @returns {string} a single line explaining why the diff is breaking, for
+ * the BREAKING CHANGE footer
+ */
+function summarizeBreakingSchemaDiff(diff) {
+  return [
+    diff.removedResources.length > 0 &&
+      `removes resources ${list(diff.removedResources)}`,
+    diff.removedDataSources.length > 0 &&
+      `removes data sources ${list(diff.removedDataSources)}`,
+    diff.removedAttributes.length > 0 &&
+      `removes attributes ${list(diff.removedAttributes)}`,
+    diff.changedAttributes.length > 0 &&
+      `changes the type of ${list(diff.changedAttributes.map((change) => change.path))}`,
+  ]
+    .filter(Boolean)
+    .join("; ");
+}
+
+/**
+ * @returns {string} Markdown summary for the PR body
+ */
+function renderSchemaDiff(diff, beforeVersion, afterVersion) {
+  const code = (items) => items.map((item) => `\`${item}\``);
+  const section = (title, items) =>
+    items.length > 0
+      ? [
+          `<details><summary>${title} (${items.length})</summary>`,
+          "",
+          // PR bodies are limited to 65536 characters
+          ...items.slice(0, 100).map((item) => `- ${item}`),
+          ...(items.length > 100 ? [`- and ${items.length - 100} more`] : []),
+          "",
+          "</details>",
+        ]
+      : [];
+
+  const lines = [
+    `### Provider schema ${beforeVersion} → ${afterVersion}`,
+    "",
+    ...section("Removed resources", code(diff.removedResources)),
+    ...section("Removed data sources", code(diff.removedDataSources)),
+    ...section("Removed attributes", code(diff.removedAttributes)),
+    ...section(
+      "Attributes with a changed type",
+      diff.changedAttributes.map(
+        (change) =>
+          `\`${change.path}\`: \`${change.before}\` → \`${change.after}\``,
+      ),
+    ),
+    ...section("Added resources", code(diff.addedResources)),
+    ...section("Added data sources", code(diff.addedDataSources)),
+  ];
+  if (lines.length === 2) {
+    lines.push("No resources, data sources or attributes changed.");
+  }
+  return lines.join("\n");
+}
+
+module.exports = {
+  fetchProviderSchema,
+  diffProviderSchemas,
+  isBreakingSchemaDiff,
+  summarizeBreakingSchemaDiff,
+  renderSchemaDiff,
+};
@@ -0,0 +1,268 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: MPL-2.0
+ */
+
+// Parses Terraform (`~> 6.0`, `>= 5.1, < 7`) and npm (`^0.21.0`, `~5.8.0`,
+// `>=1 <2 || ^3`) version constraints into the range of compatibility lines
+// they allow. A line is a major version, or a minor version below 1.0 where
+// every minor release may break.
+
+const versionRegex =
+  /^v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+const comparatorRegex = /^(~>|\^|~|>=|<=|>|<|!=|=)?\s*(\S+)$/;
+
+const isWildcard = (part) => part === undefined || /^[xX*]$/.test(part);
+
+/**
+ * @returns {{ major: number, minor: number, patch: number, prerelease?: string, segments: number } | undefined}
+ * segments counts the given parts, wildcards end the version
+ */
+function parseVersion(input) {
+  const match = versionRegex.exec(input.trim());
+  if (!match) return undefined;
+  const [, ...parts] = match;
+  const prerelease = parts[3];
+  const numbers = parts.slice(0, 3);
+  const segments = numbers.findIndex(isWildcard);
+  return {
+    major: isWildcard(numbers[0]) ? 0 : Number(numbers[0]),
+    minor: isWildcard(numbers[1]) ? 0 : Number(numbers[1]),
+    patch: isWildcard(numbers[2]) ? 0 : Number(numbers[2]),
+    prerelease,
+    segments: segments === -1 ? 3 : segments,
+  };
+}
+
+const version = (major, minor = 0, patch = 0) => ({ major, minor, patch });
+
+function compareVersions(a, b) {
+  return (
+    a.major - b.major ||
+    a.minor - b.minor ||
+    a.patch - b.patch ||
+    // 1.0.0-beta < 1.0.0
+    (a.prerelease && !b.prerelease ? -1 : 0) ||
+    (!a.prerelease && b.prerelease ? 1 : 0) ||
+    String(a.prerelease || "").localeCompare(String(b.prerelease || ""))
+  );
+}
+
+/**
+ * Increments the given segment (0 = major) and drops the ones after it
+ */
+function bump(v, segment) {
+  return [
+    version(v.major + 1),
+    version(v.major, v.minor + 1),
+    version(v.major, v.minor, v.patch + 1),
+  ][segment];
+}
+
+/**
+ * Turns a single comparator into bounds. `lower`/`upper` are
+ * `{ version, inclusive }`, missing when unbounded.
+ */
+function comparatorBounds(operator, v, { bareIsMinimum }) {
+  const at = (inclusive) => ({ version: v, inclusive });
+  // 1.x, 1.2.x and * in npm ranges
+  const wildcard =
+    v.segments < 3 && (operator === undefined || operator === "=")
+      ? v.segments === 0
+        ? {}
+        : { lower: at(true), upper: { version: bump(v, v.segments - 1) } }
+      : undefined;
+
+  switch (operator) {
+    case "~>":
+      // Terraform: only the rightmost given segment may increase
+      return v.segments <= 1
+        ? { lower: at(true) }
+        : { lower: at(true), upper: { version: bump(v, v.segments - 2) } };
+    case "^": {
+      // npm: the leftmost non-zero segment may not change
+      const segment =
+        v.major > 0 || v.segments === 1
+          ? 0
+          : v.minor > 0 || v.segments === 2
+            ? 1
+            : 2;
+      return { lower: at(true), upper: { version: bump(v, segment) } };
+    }
+    case "~":
+      return {
+        lower: at(true),
+        upper: { version: bump(v, v.segments === 1 ? 0 : 1) },
+      };
+    case ">=":
+      return { lower: at(true) };
+    case ">":
+      return { lower: at(false) };
+    case "<=":
+      return { upper: at(true) };
+    case "<":
+      return { upper: at(false) };
+    case "!=":
+      return {};
+    default:
+      if (wildcard) return wildcard;
+      return operator === undefined && bareIsMinimum
+        ? { lower: at(true) }
+        : { lower: at(true), upper: at(true) };
+  }
+}
+
+/**
+ * Parses a constraint into the list of version ranges it allows, one per
+ * `||` alternative
+ *
+ * @param {string} constraint
+ * @param {{ bareIsMinimum?: boolean }} options bare versions like `20.9.0`
+ * are exact unless they are minimums, e.g. minNodeVersion
+ * @returns {{ lower?: object, upper?: object }[] | undefined} undefined if
+ * the constraint can't be parsed
+ */
+function parseConstraint(constraint, options = {}) {
+  if (typeof constraint !== "string") return undefined;
+  if (!constraint.trim()) return [{}];
+
+  const ranges = constraint.split("||").map((alternative) => {
+    // ">= 5.1, < 7" and ">=5.1 <7", operators may be followed by a space
+    const comparators = alternative
+      .replace(/(~>|\^|~|>=|<=|>|<|!=|=)\s+/g, "$1")
+      .split(/[\s,]+/)
+      .filter(Boolean);
+    if (comparators.length === 0) return {};
+
+    // all comparators apply, so the range is their intersection
+    const range = {};
+    for (const comparator of comparators) {
+      const match = comparatorRegex.exec(comparator);
+      const v = match && parseVersion(match[2]);
+      if (!v) return undefined;
+      const { lower, upper } = comparatorBounds(match[1], v, options);
+      if (
+        lower &&
+        (!range.lower ||
+          compareVersions(lower.version, range.lower.version) > 0)
+      ) {
+        range.lower = lower;
+      }
+      if (
+        upper &&
+        (!range.upper ||
+          compareVersions(upper.version, range.upper.version) < 0)
+      ) {
+        range.upper = upper;
+      }
+    }
+    return range;
+  });
+
+  return ranges.includes(undefined) ? undefined : ranges;
+}
+
+/**
+ * Compatibility line of a version as a comparable pair
+ */
+const lineOf = (v) => [v.major, v.major === 0 ? v.minor : 0];
+
+/**
+ * Line of the highest version below an exclusive upper bound. Pre-releases
+ * are ignored, `< 7.0.0-0` excludes 7.x just like `< 7.0.0`.
+ */
+function lineBelow(v) {
+  if (v.patch > 0) return lineOf(v);
+  if (v.major === 0) return v.minor > 0 ? [0, v.minor - 1] : [0, 0];
+  if (v.minor > 0) return lineOf(v);
+  return v.major === 1 ? [0, Infinity] : [v.major - 1, 0];
+}
+
+// subtracting would turn two unbounded lines into NaN
+const compare = (a, b) => (a === b ? 0 : a < b ? -1 : 1);
+const compareLines = (a, b) => compare(a[0], b[0]) || compare(a[1], b[1]);
+
+/**
+ * @returns {{ lowest: number[], highest: number[] }} the lowest and highest
+ * compatibility line the ranges allow
+ */
+function linesOf(ranges) {
+  const lowest = ranges
+    .map((range) =>
+      range.lower ? lineOf(range.lower.version) : [-Infinity, -Infinity],
+    )
+    .sort(compareLines)[0];
+  const highest = ranges
+    .map((range) =>
+      !range.upper
+        ? [Infinity, Infinity]
+        : range.upper.inclusive
+          ? lineOf(range.upper.version)
+          : lineBelow(range.upper.version),
+    )
+    .sort(compareLines)
+    .reverse()[0];
+  return { lowest, highest };
+}
+
+/**
+ * @returns {string} a line like `6.x` or `0.21.x`
+ */
+function formatLine([major, minor]) {
+  if (major === -Infinity) return "any version";
+  if (major === Infinity) return "any later version";
+  if (major === 0) return minor === Infinity ? "0.x" : `0.${minor}.x`;
+  return `${major}.x`;
+}
+
+/**
+ * Decides whether changing a constraint moved the allowed versions across a
+ * compatibility line: a raised lowest line drops support for the previous
+ * one, a changed highest line changes the line the bindings are generated
+ * from.
+ *
+ * @param {string} before
+ * @param {string} after
+ * @param {{ bareIsMinimum?: boolean }} options see parseConstraint
+ * @returns {{ breaking: boolean, reason?: string }} reason explains why the
+ * change is breaking
+ */
+function classifyConstraintChange(before, after, options = {}) {
+  if (before === after) return { breaking: false };
+
+  const beforeRanges = parseConstraint(before, options);
+  const afterRanges = parseConstraint(after, options);
+  if (!beforeRanges || !afterRanges) {
+    return {
+      breaking: true,
+      reason: `can't parse \`${!beforeRanges ? before : after}\`, treated as breaking to be safe`,
+    };
+  }
+
+  const beforeLines = linesOf(beforeRanges);
+  const afterLines = linesOf(afterRanges);
+  const single = (lines) => compareLines(lines.lowest, lines.highest) === 0;
+  const lowest = compareLines(afterLines.lowest, beforeLines.lowest);
+  const highest = compareLines(afterLines.highest, beforeLines.highest);
+
+  let reason;
+  if (single(beforeLines) && single(afterLines) && lowest !== 0) {
+    reason = `moves from ${formatLine(beforeLines.lowest)} to ${formatLine(afterLines.lowest)}`;
+  } else if (lowest > 0) {
+    reason = `requires at least ${formatLine(afterLines.lowest)} instead of ${formatLine(beforeLines.lowest)}`;
+  } else if (highest > 0) {
+    reason = `allows ${formatLine(afterLines.highest)}, previously at most ${formatLine(beforeLines.highest)}`;
+  } else if (highest < 0) {
+    reason = `allows at most ${formatLine(afterLines.highest)} instead of ${formatLine(beforeLines.highest)}`;
+  }
+
+  return reason
+    ? { breaking: true, reason: `\`${before}\` → \`${after}\` ${reason}` }
+    : { breaking: false };
+}
+
+module.exports = {
+  parseVersion,
+  parseConstraint,
+  classifyConstraintChange,
+};
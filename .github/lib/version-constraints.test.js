@@ -0,0 +1,108 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: MPL-2.0
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert");
+const {
+  parseConstraint,
+  classifyConstraintChange,
+} = require("./version-constraints");
+
+const bounds = (constraint) =>
+  parseConstraint(constraint).map(({ lower, upper }) => [
+    lower &&
+      `${lower.inclusive ? ">=" : ">"}${lower.version.major}.${lower.version.minor}.${lower.version.patch}`,
+    upper &&
+      `${upper.inclusive ? "<=" : "<"}${upper.version.major}.${upper.version.minor}.${upper.version.patch}`,
+  ]);
+
+test("treats every 0.x minor version as its own line", () => {
+  assert.deepStrictEqual(classifyConstraintChange("^0.21.0", "^0.21.3"), {
+    breaking: false,
+  });
+  assert.deepStrictEqual(classifyConstraintChange("^0.21.0", "^0.22.0"), {
+    breaking: true,
+    reason: "`^0.21.0` → `^0.22.0` moves from 0.21.x to 0.22.x",
+  });
+});
+
+test("reads ^0.x as any 0.x version", () => {
+  assert.deepStrictEqual(bounds("^0.x"), [[">=0.0.0", "<1.0.0"]]);
+  assert.deepStrictEqual(classifyConstraintChange("^0.21.0", "^0.x"), {
+    breaking: true,
+    reason: "`^0.21.0` → `^0.x` allows 0.x, previously at most 0.21.x",
+  });
+  assert.strictEqual(
+    classifyConstraintChange("^0.x", "^0.21.0").breaking,
+    true,
+  );
+});
+
+test("reads ~> with a single segment as a minimum", () => {
+  assert.deepStrictEqual(bounds("~> 6"), [[">=6.0.0", undefined]]);
+  assert.deepStrictEqual(bounds("~> 6.0"), [[">=6.0.0", "<7.0.0"]]);
+  assert.deepStrictEqual(classifyConstraintChange("~> 6.0", "~> 6.2"), {
+    breaking: false,
+  });
+  assert.deepStrictEqual(classifyConstraintChange("~> 6.0", "~> 6"), {
+    breaking: true,
+    reason:
+      "`~> 6.0` → `~> 6` allows any later version, previously at most 6.x",
+  });
+  assert.deepStrictEqual(classifyConstraintChange("~> 6", "~> 7"), {
+    breaking: true,
+    reason: "`~> 6` → `~> 7` requires at least 7.x instead of 6.x",
+  });
+});
+
+test("combines || alternatives into the lines they allow", () => {
+  assert.deepStrictEqual(bounds(">=1 <2 || ^3"), [
+    [">=1.0.0", "<2.0.0"],
+    [">=3.0.0", "<4.0.0"],
+  ]);
+  assert.deepStrictEqual(classifyConstraintChange("^6", "^5 || ^6"), {
+    breaking: false,
+  });
+  assert.deepStrictEqual(
+    classifyConstraintChange("^5.0.0 || ^6.0.0", "^5.1.0 || ^6.0.0"),
+    { breaking: false },
+  );
+  assert.deepStrictEqual(classifyConstraintChange("^5 || ^6", "^6"), {
+    breaking: true,
+    reason: "`^5 || ^6` → `^6` requires at least 6.x instead of 5.x",
+  });
+});
+
+test("intersects the comparators of Terraform constraints", () => {
+  assert.deepStrictEqual(bounds(">= 5.1, < 7"), [[">=5.1.0", "<7.0.0"]]);
+  assert.deepStrictEqual(classifyConstraintChange(">= 5.1, < 7", "~> 6.0"), {
+    breaking: true,
+    reason: "`>= 5.1, < 7` → `~> 6.0` requires at least 6.x instead of 5.x",
+  });
+});
+
+test("reads bare versions as minimums when asked to", () => {
+  assert.deepStrictEqual(
+    classifyConstraintChange("20.9.0", "20.10.0", { bareIsMinimum: true }),
+    { breaking: false },
+  );
+  assert.strictEqual(
+    classifyConstraintChange("20.9.0", "20.10.0").breaking,
+    false,
+  );
+  assert.strictEqual(
+    classifyConstraintChange("18.0.0", "20.9.0", { bareIsMinimum: true })
+      .breaking,
+    true,
+  );
+});
+
+test("treats constraints it can't parse as breaking", () => {
+  assert.strictEqual(parseConstraint("latest"), undefined);
+  assert.deepStrictEqual(classifyConstraintChange("~> 6.0", "latest"), {
+    breaking: true,
+    reason: "can't parse `latest`, treated as breaking to be safe",
+  });
+});
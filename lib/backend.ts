@@ -0,0 +1,184 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: MPL-2.0
+ */
+
+import { Construct } from "constructs";
+import { LocalBackend, RemoteBackend, S3Backend } from "cdktf";
+
+export type BackendType = "remote" | "s3" | "local";
+
+export const backendTypes: BackendType[] = ["remote", "s3", "local"];
+
+/**
+ * Terraform Cloud workspace, the default when no type is given
+ */
+export interface RemoteBackendConfig {
+  type?: "remote";
+  /**
+   * @default defaultBackendOrganization
+   */
+  organization?: string;
+  workspaceName: string;
+}
+
+export interface S3BackendConfig {
+  type: "s3";
+  bucket: string;
+  /**
+   * @default "<stack name>/terraform.tfstate"
+   */
+  key?: string;
+  region: string;
+  /**
+   * DynamoDB table used for state locking
+   */
+  lockTable?: string;
+}
+
+/**
+ * State on disk, only meant for local development since CI runs don't keep it
+ */
+export interface LocalBackendConfig {
+  type: "local";
+  /**
+   * @default "terraform.<stack name>.tfstate"
+   */
+  path?: string;
+}
+
+export type BackendConfig =
+  | RemoteBackendConfig
+  | S3BackendConfig
+  | LocalBackendConfig;
+
+export const defaultBackendOrganization = "cdk-terrain";
+
+export const defaultConstructsBackend: BackendConfig = {
+  workspaceName: "custom-constructs",
+};
+
+/**
+ * Validates the backend of a stack in sharded-stacks.json
+ *
+ * @param prefix where the backend is configured, used in the errors
+ * @returns a list of human readable errors, empty if the backend is valid
+ */
+export function validateBackendConfig(
+  backend: BackendConfig | undefined,
+  prefix: string,
+): string[] {
+  if (!backend || typeof backend !== "object") {
+    return [`${prefix}: backend is missing`];
+  }
+
+  const type = backend.type ?? "remote";
+  const required: Record<BackendType, string[]> = {
+    remote: ["workspaceName"],
+    s3: ["bucket", "region"],
+    local: [],
+  };
+  if (!backendTypes.includes(type)) {
+    return [
+      `${prefix}: unknown backend type ${JSON.stringify(type)}. Supported types are ${backendTypes.join(", ")}`,
+    ];
+  }
+
+  const errors: string[] = [];
+  const values = backend as unknown as Record<string, unknown>;
+  required[type].forEach((key) => {
+    if (typeof values[key] !== "string" || !values[key]) {
+      errors.push(`${prefix}: the ${type} backend requires ${key}`);
+    }
+  });
+  Object.entries(values).forEach(([key, value]) => {
+    if (
+      key !== "type" &&
+      !required[type].includes(key) &&
+      (typeof value !== "string" || !value)
+    ) {
+      errors.push(`${prefix}: backend ${key} must be a non-empty string`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * @returns where the state of a stack is kept, e.g. `s3://bucket/key`
+ */
+export function backendLocation(name: string, backend: BackendConfig): string {
+  switch (backend.type) {
+    case "s3":
+      return `s3://${backend.bucket}/${backend.key ?? `${name}/terraform.tfstate`}`;
+    case "local":
+      return `local:${backend.path ?? `terraform.${name}.tfstate`}`;
+    default:
+      return `remote:${backend.organization ?? defaultBackendOrganization}/${backend.workspaceName}`;
+  }
+}
+
+/**
+ * Validates the backends of all stacks, including that no two stacks share
+ * their state
+ *
+ * @param backends backend by stack name
+ * @returns a list of human readable errors, empty if the backends are valid
+ */
+export function validateStackBackends(
+  backends: Record<string, BackendConfig | undefined>,
+): string[] {
+  const errors = Object.entries(backends).flatMap(([name, backend]) =>
+    validateBackendConfig(backend, `sharded-stacks.json: ${name}`),
+  );
+  if (errors.length > 0) return errors;
+
+  const stacksByLocation = new Map<string, string[]>();
+  Object.entries(backends).forEach(([name, backend]) => {
+    const location = backendLocation(name, backend as BackendConfig);
+    stacksByLocation.set(location, [
+      ...(stacksByLocation.get(location) ?? []),
+      name,
+    ]);
+  });
+  stacksByLocation.forEach((stacks, location) => {
+    if (stacks.length > 1) {
+      errors.push(
+        `sharded-stacks.json: ${stacks.join(", ")} share their state at ${location}`,
+      );
+    }
+  });
+  return errors;
+}
+
+/**
+ * Configures where a stack keeps its state
+ *
+ * @param name stack name, used for the default S3 key and local path
+ */
+export function configureBackend(
+  stack: Construct,
+  name: string,
+  backend: BackendConfig,
+) {
+  switch (backend.type) {
+    case "s3":
+      return new S3Backend(stack, {
+        bucket: backend.bucket,
+        key: backend.key ?? `${name}/terraform.tfstate`,
+        region: backend.region,
+        dynamodbTable: backend.lockTable,
+        encrypt: true,
+      });
+    case "local":
+      return new LocalBackend(stack, {
+        path: backend.path ?? `terraform.${name}.tfstate`,
+      });
+    default:
+      return new RemoteBackend(stack, {
+        organization: backend.organization ?? defaultBackendOrganization,
+        workspaces: {
+          name: backend.workspaceName,
+        },
+      });
+  }
+}
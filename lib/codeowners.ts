@@ -0,0 +1,47 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: MPL-2.0
+ */
+
+import { Construct } from "constructs";
+import { GithubProvider } from "@cdktf/provider-github/lib/provider";
+import { DataGithubUser } from "@cdktf/provider-github/lib/data-github-user";
+import { Teams } from "./teams";
+
+/**
+ * Looks up the owners of providers from provider.json, so a misspelled or
+ * deleted user or team fails the plan before the "Add Codeowners file"
+ * workflow writes it to a CODEOWNERS file
+ */
+export class CodeOwners extends Construct {
+  private readonly users = new Map<string, DataGithubUser>();
+
+  constructor(
+    scope: Construct,
+    name: string,
+    private readonly teams: Teams,
+    private readonly provider: GithubProvider,
+  ) {
+    super(scope, name);
+  }
+
+  /**
+   * @param owners GitHub users (`@octocat`) or teams (`@cdktn-io/team`)
+   */
+  lookup(owners: string[]) {
+    owners.forEach((owner) => {
+      const [username, slug] = owner.slice(1).split("/");
+      if (slug) {
+        this.teams.lookup(slug);
+      } else if (!this.users.has(username)) {
+        this.users.set(
+          username,
+          new DataGithubUser(this, username, {
+            username,
+            provider: this.provider,
+          }),
+        );
+      }
+    });
+  }
+}
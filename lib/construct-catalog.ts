@@ -0,0 +1,105 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: MPL-2.0
+ */
+
+import { Language, validateLanguages } from "./provider-catalog";
+import { findDuplicates, isStringArray } from "./validation";
+
+export interface ConstructRepository {
+  /**
+   * Name of the existing repository in the cdktn-io organization
+   */
+  name: string;
+  languages: Language[];
+  topics?: string[];
+  /**
+   * Status checks required on main in addition to `build` and the
+   * `package-*` checks derived from the languages
+   */
+  requiredChecks?: string[];
+}
+
+/**
+ * Contents of constructs.json
+ */
+export type ConstructCatalog = ConstructRepository[];
+
+const knownEntryKeys: (keyof ConstructRepository)[] = [
+  "name",
+  "languages",
+  "topics",
+  "requiredChecks",
+];
+
+const repositoryNameRegex = /^[A-Za-z0-9_.-]+$/;
+
+/**
+ * Validates the construct repositories declared in constructs.json
+ *
+ * @returns a list of human readable errors, empty if the catalog is valid
+ */
+export function validateConstructCatalog(catalog: ConstructCatalog): string[] {
+  if (!Array.isArray(catalog)) {
+    return ["constructs.json must contain a list of construct repositories"];
+  }
+
+  const errors: string[] = [];
+
+  catalog.forEach((entry, index) => {
+    if (typeof entry !== "object" || entry === null || Array.isArray(entry)) {
+      errors.push(`constructs.json: entry #${index} must be an object`);
+      return;
+    }
+
+    const prefix = `constructs.json: "${entry.name ?? `#${index}`}"`;
+
+    const unknownKeys = Object.keys(entry).filter(
+      (entryKey) =>
+        !knownEntryKeys.includes(entryKey as keyof ConstructRepository),
+    );
+    if (unknownKeys.length > 0) {
+      errors.push(
+        `${prefix} has unknown properties ${unknownKeys.join(", ")}. Allowed properties are ${knownEntryKeys.join(", ")}`,
+      );
+    }
+
+    if (
+      typeof entry.name !== "string" ||
+      !repositoryNameRegex.test(entry.name)
+    ) {
+      errors.push(
+        `${prefix} needs a "name" that is a valid GitHub repository name`,
+      );
+    } else if (entry.name.endsWith("-go")) {
+      errors.push(
+        `${prefix} has a -go suffix which is not allowed due to conflicts with go package repositories`,
+      );
+    }
+
+    errors.push(...validateLanguages(entry.languages, prefix));
+
+    if (entry.topics !== undefined && !isStringArray(entry.topics)) {
+      errors.push(`${prefix} "topics" must be a list of strings`);
+    }
+
+    if (
+      entry.requiredChecks !== undefined &&
+      !isStringArray(entry.requiredChecks)
+    ) {
+      errors.push(`${prefix} "requiredChecks" must be a list of strings`);
+    }
+  });
+
+  const names = catalog
+    .map((entry) => entry?.name)
+    .filter((name): name is string => typeof name === "string");
+  const duplicates = findDuplicates(names);
+  if (duplicates.length > 0) {
+    errors.push(
+      `constructs.json contains duplicate repositories: ${duplicates.join(", ")}`,
+    );
+  }
+
+  return errors;
+}
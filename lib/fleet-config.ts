@@ -0,0 +1,188 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: MPL-2.0
+ */
+
+import { GovernanceConfig, validateGovernanceConfig } from "./governance";
+import {
+  DeployActor,
+  deployActorTypes,
+  ProtectionMode,
+  protectionModes,
+} from "./repository";
+import { validateWebhookConfig, WebhookConfig } from "./webhooks";
+import {
+  Language,
+  ProviderCatalog,
+  validateLanguages,
+} from "./provider-catalog";
+import { ReleaseEnvironmentConfig, SecretScope, secretScopes } from "./secrets";
+import { TeamAccess, validateTeamAccess } from "./teams";
+import {
+  ManagedFilesConfig,
+  validateManagedFilesConfig,
+} from "./managed-files";
+
+export interface ProtectionConfig {
+  /**
+   * Fleet default, can be overridden per provider in provider.json
+   *
+   * @default "branch-protection"
+   */
+  mode?: ProtectionMode;
+  /**
+   * @default "v*"
+   */
+  releaseTagPattern?: string;
+  /**
+   * Identity deploying the stacks, which may always bypass the main ruleset
+   * of repositories with managed files. Required for managed files in
+   * repositories protected by rulesets.
+   */
+  deployActor?: DeployActor;
+}
+
+export interface SecretsConfig {
+  /**
+   * Where the publishing secrets are stored
+   *
+   * @default "repository"
+   */
+  scope?: SecretScope;
+  /**
+   * Environment holding the secrets with the `environment` scope
+   */
+  environment?: ReleaseEnvironmentConfig;
+}
+
+/**
+ * Contents of fleet.json, settings that apply to all managed repositories
+ */
+export interface FleetConfig {
+  governance?: GovernanceConfig;
+  protection?: ProtectionConfig;
+  /**
+   * @default defaultWebhookDestinations
+   */
+  webhooks?: WebhookConfig;
+  secrets?: SecretsConfig;
+  /**
+   * Languages published by provider repositories, can be overridden per
+   * provider in provider.json
+   *
+   * @default defaultProviderLanguages
+   */
+  providerLanguages?: Language[];
+  /**
+   * Teams granted access to every managed repository, can be extended per
+   * provider in provider.json
+   *
+   * @default defaultTeamAccess
+   */
+  teams?: TeamAccess;
+  /**
+   * Files committed to the repositories by Terraform, rendered from
+   * templates/. No files are managed unless configured.
+   */
+  files?: ManagedFilesConfig;
+}
+
+/**
+ * Validates fleet.json
+ *
+ * @param templatesDir directory the templates of managed files are in
+ * @param providers provider.json, which managed files are rendered from
+ * @returns a list of human readable errors, empty if the config is valid
+ */
+export function validateFleetConfig(
+  config: FleetConfig,
+  templatesDir: string,
+  providers: ProviderCatalog,
+): string[] {
+  const errors = [
+    ...validateGovernanceConfig(config.governance ?? {}),
+    ...validateWebhookConfig(config.webhooks ?? {}),
+  ];
+
+  const protection = config.protection ?? {};
+  if (
+    protection.mode !== undefined &&
+    !protectionModes.includes(protection.mode)
+  ) {
+    errors.push(
+      `fleet.json: unknown protection mode ${JSON.stringify(protection.mode)}. Supported modes are ${protectionModes.join(", ")}`,
+    );
+  }
+  if (
+    protection.releaseTagPattern !== undefined &&
+    (typeof protection.releaseTagPattern !== "string" ||
+      !protection.releaseTagPattern)
+  ) {
+    errors.push(`fleet.json: protection.releaseTagPattern must be a pattern`);
+  }
+  const deployActor = protection.deployActor;
+  if (
+    deployActor !== undefined &&
+    (!Number.isInteger(deployActor.actorId) ||
+      deployActor.actorId <= 0 ||
+      !deployActorTypes.includes(deployActor.actorType))
+  ) {
+    errors.push(
+      `fleet.json: protection.deployActor needs a positive "actorId" and an "actorType" of ${deployActorTypes.join(", ")}`,
+    );
+  }
+
+  const secrets = config.secrets ?? {};
+  if (secrets.scope !== undefined && !secretScopes.includes(secrets.scope)) {
+    errors.push(
+      `fleet.json: unknown secrets scope ${JSON.stringify(secrets.scope)}. Supported scopes are ${secretScopes.join(", ")}`,
+    );
+  }
+  const environment = secrets.environment ?? {};
+  if (
+    environment.name !== undefined &&
+    (typeof environment.name !== "string" || !environment.name.trim())
+  ) {
+    errors.push(`fleet.json: secrets.environment.name must not be empty`);
+  }
+  if (
+    environment.branches !== undefined &&
+    (!Array.isArray(environment.branches) ||
+      environment.branches.length === 0 ||
+      !environment.branches.every(
+        (branch) => typeof branch === "string" && branch,
+      ))
+  ) {
+    errors.push(
+      `fleet.json: secrets.environment.branches must be a non-empty list of branch patterns`,
+    );
+  }
+
+  if (config.providerLanguages !== undefined) {
+    errors.push(
+      ...validateLanguages(
+        config.providerLanguages,
+        "fleet.json: providerLanguages",
+      ),
+    );
+  }
+
+  if (config.teams !== undefined) {
+    const teamErrors = validateTeamAccess(config.teams, "fleet.json: teams");
+    errors.push(...teamErrors);
+    if (
+      teamErrors.length === 0 &&
+      !Object.values(config.teams).includes("admin")
+    ) {
+      errors.push(`fleet.json: teams needs at least one admin team`);
+    }
+  }
+
+  if (config.files !== undefined) {
+    errors.push(
+      ...validateManagedFilesConfig(config.files, templatesDir, providers),
+    );
+  }
+
+  return errors;
+}
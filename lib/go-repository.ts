@@ -0,0 +1,177 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: MPL-2.0
+ */
+
+import { Construct } from "constructs";
+import { RepositoryConfig, RepositorySetup } from "./repository";
+import { Repository } from "@cdktf/provider-github/lib/repository";
+import { DataGithubRepository } from "@cdktf/provider-github/lib/data-github-repository";
+import { RepositoryFile } from "@cdktf/provider-github/lib/repository-file";
+import {
+  RepositoryRuleset,
+  RepositoryRulesetBypassActors,
+} from "@cdktf/provider-github/lib/repository-ruleset";
+
+export interface GoRepositoryConfig
+  extends Pick<
+    RepositoryConfig,
+    | "topics"
+    | "teams"
+    | "labels"
+    | "webhooks"
+    | "releaseTagPattern"
+    | "archived"
+    | "protectMain"
+    | "provider"
+  > {
+  /**
+   * The source repository is appended, e.g. "CDK for Terraform Go provider
+   * bindings for aws."
+   */
+  description: string;
+  /**
+   * Repository the bindings are generated and published from
+   */
+  source: Repository | DataGithubRepository;
+  /**
+   * ID of the GitHub App publishing the bindings, the only actor that may
+   * push to the repository
+   */
+  publishingAppId?: number;
+}
+
+/**
+ * A repository Go bindings are published to. Nobody works in it directly:
+ * issues, projects and pull requests are disabled, only the publishing
+ * GitHub App may push and release tags can't be moved. Its description and
+ * README point to the source repository instead.
+ */
+export class GoRepository extends Construct {
+  public readonly resource: Repository;
+
+  constructor(scope: Construct, name: string, config: GoRepositoryConfig) {
+    super(scope, name);
+
+    const {
+      description,
+      source,
+      publishingAppId,
+      releaseTagPattern = "v*",
+      archived,
+      // the rulesets protect main instead of branch protection
+      protectMain = true,
+      provider,
+    } = config;
+
+    // construct ids match GithubRepository, which used to create these
+    // repositories, so they keep their state
+    this.resource = new Repository(this, "repo", {
+      name,
+      description: `${description} Generated from ${source.fullName}, please open issues and pull requests there.`,
+      archiveOnDestroy: true,
+      visibility: "public",
+      homepageUrl: source.htmlUrl,
+      hasIssues: false,
+      hasWiki: false,
+      hasProjects: false,
+      hasDiscussions: false,
+      autoInit: true,
+      allowMergeCommit: false,
+      allowSquashMerge: false,
+      allowRebaseMerge: false,
+      allowAutoMerge: false,
+      vulnerabilityAlerts: false,
+      archived,
+      topics: config.topics,
+      provider,
+    });
+
+    new RepositorySetup(this, "repository-setup", {
+      ...config,
+      protectMain: false,
+      repository: this.resource,
+    });
+
+    const readme = new RepositoryFile(this, "readme", {
+      repository: this.resource.name,
+      branch: "main",
+      file: "README.md",
+      content: [
+        `# ${name}`,
+        "",
+        `Go bindings of [${source.fullName}](${source.htmlUrl}), published by its release workflow.`,
+        "",
+        `This repository only receives releases. Please open issues and pull requests in [${source.fullName}](${source.htmlUrl}).`,
+        "",
+      ].join("\n"),
+      commitMessage: "chore: point to the source repository",
+      overwriteOnCreate: true,
+      // pushed once before the publishing ruleset, which only lets the
+      // publishing app push, and archived repositories are read-only
+      lifecycle: { ignoreChanges: "all" },
+      provider,
+    });
+
+    if (!protectMain) return;
+
+    const bypassActors: RepositoryRulesetBypassActors[] =
+      publishingAppId !== undefined
+        ? [
+            {
+              actorId: publishingAppId,
+              actorType: "Integration",
+              bypassMode: "always",
+            },
+          ]
+        : [];
+
+    // pushes and merged pull requests both update the branch, so this
+    // leaves the publishing app as the only writer
+    new RepositoryRuleset(this, "publishing-ruleset", {
+      name: "publishing",
+      repository: this.resource.name,
+      target: "branch",
+      enforcement: "active",
+      conditions: {
+        refName: {
+          include: ["~DEFAULT_BRANCH"],
+          exclude: [],
+        },
+      },
+      bypassActors,
+      rules: {
+        update: true,
+        deletion: true,
+        nonFastForward: true,
+      },
+      // the README is pushed before the ruleset restricts pushes
+      dependsOn: [readme],
+      provider,
+    });
+
+    // Go modules in a subdirectory are tagged `<directory>/v1.2.3`
+    new RepositoryRuleset(this, "release-tags-ruleset", {
+      name: "release-tags",
+      repository: this.resource.name,
+      target: "tag",
+      enforcement: "active",
+      conditions: {
+        refName: {
+          include: [
+            `refs/tags/${releaseTagPattern}`,
+            `refs/tags/**/${releaseTagPattern}`,
+          ],
+          exclude: [],
+        },
+      },
+      bypassActors: [],
+      rules: {
+        update: true,
+        deletion: true,
+        nonFastForward: true,
+      },
+      provider,
+    });
+  }
+}
@@ -0,0 +1,237 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: MPL-2.0
+ */
+
+import { IConstruct } from "constructs";
+import { Annotations, IAspect, TerraformStack } from "cdktf";
+
+export type GovernanceRule =
+  | "team-access"
+  | "webhook"
+  | "dependabot"
+  | "branch-protection";
+
+export const governanceRules: GovernanceRule[] = [
+  "team-access",
+  "webhook",
+  "dependabot",
+  "branch-protection",
+];
+
+export interface GovernanceException {
+  /**
+   * Repository name, `*` matches any number of characters (e.g. `*-go`)
+   */
+  repository: string;
+  rules: GovernanceRule[];
+  /**
+   * Why the repository is exempt, required so exceptions stay reviewable
+   */
+  reason: string;
+}
+
+export interface GovernanceConfig {
+  exceptions?: GovernanceException[];
+}
+
+/**
+ * Validates the governance section of fleet.json
+ *
+ * @returns a list of human readable errors, empty if the config is valid
+ */
+export function validateGovernanceConfig(config: GovernanceConfig): string[] {
+  const errors: string[] = [];
+
+  (config.exceptions ?? []).forEach((exception, index) => {
+    const prefix = `fleet.json: governance exception #${index} (${exception.repository})`;
+
+    if (typeof exception.repository !== "string" || !exception.repository) {
+      errors.push(`${prefix} needs a "repository" name or pattern`);
+    }
+    if (!Array.isArray(exception.rules) || exception.rules.length === 0) {
+      errors.push(`${prefix} needs a non-empty list of "rules"`);
+    } else {
+      const unknownRules = exception.rules.filter(
+        (rule) => !governanceRules.includes(rule),
+      );
+      if (unknownRules.length > 0) {
+        errors.push(
+          `${prefix} has unknown rules ${unknownRules.join(", ")}. Supported rules are ${governanceRules.join(", ")}`,
+        );
+      }
+    }
+    if (typeof exception.reason !== "string" || !exception.reason.trim()) {
+      errors.push(`${prefix} needs a "reason"`);
+    }
+  });
+
+  return errors;
+}
+
+function matchesPattern(pattern: string, name: string): boolean {
+  const regex = new RegExp(
+    `^${pattern
+      .split("*")
+      .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+      .join(".*")}$`,
+  );
+  return regex.test(name);
+}
+
+type Block = Record<string, unknown>;
+
+/**
+ * Nested blocks are synthesized either as a single object or as a list
+ */
+function asList(value: unknown): Block[] {
+  if (value === undefined || value === null) return [];
+  return (Array.isArray(value) ? value : [value]) as Block[];
+}
+
+/**
+ * Enforces our repository policy on every github_repository of a stack and
+ * every existing repository it manages through a github_repository data
+ * source: each repository needs team access, a webhook, Dependabot security updates
+ * (except for -go repositories) and a protected main branch with required
+ * status checks. Violations are reported as synth errors unless the
+ * repository is listed in the exceptions. Deprecated and archived
+ * repositories are skipped.
+ */
+export class RepositoryGovernance implements IAspect {
+  constructor(private readonly config: GovernanceConfig = {}) {}
+
+  visit(node: IConstruct): void {
+    if (!TerraformStack.isStack(node)) return;
+
+    // the synthesized stack has all tokens resolved to references like
+    // `${github_repository.foo.name}`, which makes dependencies comparable
+    const stack = node;
+    const synthesized = stack.toTerraform();
+    const constructs = new Map(
+      stack.node.findAll().map((c) => [c.node.path, c]),
+    );
+
+    const entriesOf = (blocks: unknown) =>
+      Object.entries((blocks ?? {}) as Record<string, Block>).map(
+        ([logicalId, config]) => ({ logicalId, config }),
+      );
+    const ofType = (type: string) => entriesOf(synthesized.resource?.[type]);
+
+    const repositories = [
+      ...ofType("github_repository").map((repository) => ({
+        ...repository,
+        reference: `github_repository.${repository.logicalId}`,
+      })),
+      ...entriesOf(synthesized.data?.github_repository).map((repository) => ({
+        ...repository,
+        reference: `data.github_repository.${repository.logicalId}`,
+      })),
+    ];
+
+    repositories.forEach(({ reference, config }) => {
+      // deprecated repositories are torn down before they are archived and
+      // archived repositories are read-only, there is nothing to enforce.
+      // Only the status in provider.json sets the deprecated topic.
+      if (
+        config.archived === true ||
+        ((config.topics ?? []) as string[]).includes("deprecated")
+      ) {
+        return;
+      }
+
+      const name = config.name as string;
+      const path = (config["//"] as { metadata: { path: string } }).metadata
+        .path;
+      const resource = constructs.get(path) ?? stack;
+      // dependent resources either reference any attribute of the repository
+      // or use its literal name
+      const targets = (value: unknown) =>
+        value === name ||
+        (typeof value === "string" && value.includes(`\${${reference}.`));
+
+      const exempt = (rule: GovernanceRule) =>
+        (this.config.exceptions ?? []).some(
+          (exception) =>
+            exception.rules.includes(rule) &&
+            matchesPattern(exception.repository, name),
+        );
+
+      const violations: { rule: GovernanceRule; message: string }[] = [];
+
+      if (
+        !ofType("github_team_repository").some((r) =>
+          targets(r.config.repository),
+        )
+      ) {
+        violations.push({
+          rule: "team-access",
+          message: "has no github_team_repository granting a team access",
+        });
+      }
+
+      if (
+        !ofType("github_repository_webhook").some((r) =>
+          targets(r.config.repository),
+        )
+      ) {
+        violations.push({
+          rule: "webhook",
+          message: "has no github_repository_webhook",
+        });
+      }
+
+      if (
+        !name.endsWith("-go") &&
+        !ofType("github_repository_dependabot_security_updates").some(
+          (r) => targets(r.config.repository) && r.config.enabled === true,
+        )
+      ) {
+        violations.push({
+          rule: "dependabot",
+          message: "has no enabled Dependabot security updates",
+        });
+      }
+
+      const hasBranchProtection = ofType("github_branch_protection").some(
+        (r) => {
+          const checks = r.config.required_status_checks as
+            | { contexts?: string[] }[]
+            | undefined;
+          return (
+            targets(r.config.repository_id) &&
+            (checks ?? []).some((check) => (check.contexts ?? []).length > 0)
+          );
+        },
+      );
+      const hasBranchRuleset = ofType("github_repository_ruleset").some((r) => {
+        const rules = asList(r.config.rules);
+        return (
+          targets(r.config.repository) &&
+          r.config.target === "branch" &&
+          r.config.enforcement === "active" &&
+          rules.some((rule) =>
+            asList(rule.required_status_checks).some(
+              (checks) => asList(checks.required_check).length > 0,
+            ),
+          )
+        );
+      });
+      if (!hasBranchProtection && !hasBranchRuleset) {
+        violations.push({
+          rule: "branch-protection",
+          message:
+            "has no branch protection or ruleset with required status checks",
+        });
+      }
+
+      violations
+        .filter(({ rule }) => !exempt(rule))
+        .forEach(({ rule, message }) =>
+          Annotations.of(resource).addError(
+            `Repository ${name} ${message} (governance rule "${rule}"). Use RepositorySetup or add an exception to the governance section of fleet.json.`,
+          ),
+        );
+    });
+  }
+}
@@ -4,4 +4,18 @@
  */
 
 export * from "./repository";
+export * from "./go-repository";
 export * from "./secrets";
+export * from "./provider-catalog";
+export * from "./construct-catalog";
+export * from "./shard-planner";
+export * from "./governance";
+export * from "./fleet-config";
+export * from "./labels";
+export * from "./webhooks";
+export * from "./moved-blocks";
+export * from "./backend";
+export * from "./teams";
+export * from "./codeowners";
+export * from "./managed-files";
+export * from "./inventory";
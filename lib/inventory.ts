@@ -0,0 +1,331 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: MPL-2.0
+ */
+
+import { backendLocation, BackendConfig } from "./backend";
+import { SynthesizedStack } from "./moved-blocks";
+import { ProviderCatalog, ProviderStatus } from "./provider-catalog";
+
+/**
+ * The parts of a Terraform state file (`terraform state pull`) we read
+ */
+export interface TerraformState {
+  resources?: {
+    mode: string;
+    type: string;
+    name: string;
+    instances: { attributes?: Record<string, unknown> }[];
+  }[];
+}
+
+export interface InventorySecret {
+  name: string;
+  /**
+   * Where the secret is stored, organization secrets are shared
+   */
+  scope: "repository" | "environment" | "organization";
+}
+
+export interface ProviderInventoryEntry {
+  provider: string;
+  /**
+   * Stack the provider was synthesized into, undefined if it is missing in
+   * the synthesized stacks
+   */
+  stack?: string;
+  /**
+   * State location of the stack, e.g. `remote:cdk-terrain/prebuilt-providers`
+   */
+  workspace?: string;
+  /**
+   * Terraform provider source, e.g. `hashicorp/aws`
+   */
+  terraformProvider: string;
+  /**
+   * Version constraint, e.g. `~> 6.0`
+   */
+  versionConstraint?: string;
+  repository: string;
+  repositoryUrl: string;
+  goRepository?: string;
+  goRepositoryUrl?: string;
+  requiredChecks: string[];
+  secrets: InventorySecret[];
+  customRunner: boolean;
+  status: ProviderStatus;
+  archived: boolean;
+  /**
+   * Whether the repository is in the state of its stack, undefined without
+   * the state
+   */
+  deployed?: boolean;
+}
+
+export interface FleetInventory {
+  providers: ProviderInventoryEntry[];
+  /**
+   * Providers of provider.json missing in the synthesized stacks
+   */
+  missing: string[];
+}
+
+type ResourceConfig = Record<string, unknown>;
+
+interface SynthesizedRepository {
+  stack: string;
+  reference: string;
+  config: ResourceConfig;
+}
+
+const organizationSelectionRegex = /for name in (\[[^\]]*\])/;
+
+function resourcesOf(
+  stack: SynthesizedStack,
+  type: string,
+): [string, ResourceConfig][] {
+  return Object.entries(stack.resource?.[type] ?? {});
+}
+
+function findRepositories(
+  stacks: Record<string, SynthesizedStack>,
+): Map<string, SynthesizedRepository> {
+  const repositories = new Map<string, SynthesizedRepository>();
+  Object.entries(stacks).forEach(([stack, synthesized]) =>
+    resourcesOf(synthesized, "github_repository").forEach(([id, config]) =>
+      repositories.set(config.name as string, {
+        stack,
+        reference: `\${github_repository.${id}.name}`,
+        config,
+      }),
+    ),
+  );
+  return repositories;
+}
+
+/**
+ * @returns the location of the state of a synthesized stack, in the format
+ * of backendLocation
+ */
+export function synthesizedBackendLocation(
+  name: string,
+  stack: SynthesizedStack,
+): string | undefined {
+  const [[type, config] = []] = Object.entries(stack.terraform?.backend ?? {});
+  if (!type || !config) return undefined;
+
+  const backend: BackendConfig | undefined =
+    type === "remote"
+      ? {
+          organization: config.organization as string,
+          workspaceName: (config.workspaces as { name: string }).name,
+        }
+      : type === "s3"
+        ? {
+            type: "s3",
+            bucket: config.bucket as string,
+            key: config.key as string,
+            region: config.region as string,
+          }
+        : type === "local"
+          ? { type: "local", path: config.path as string }
+          : undefined;
+  return backend ? backendLocation(name, backend) : `${type}:unknown`;
+}
+
+function requiredChecksOf(
+  stack: SynthesizedStack,
+  reference: string,
+): string[] {
+  const protection = resourcesOf(stack, "github_branch_protection")
+    .filter(([, config]) => config.repository_id === reference)
+    .flatMap(([, config]) =>
+      (
+        (config.required_status_checks ?? []) as { contexts?: string[] }[]
+      ).flatMap((checks) => checks.contexts ?? []),
+    );
+  const rulesets = resourcesOf(stack, "github_repository_ruleset")
+    .filter(
+      ([, config]) =>
+        config.repository === reference && config.target === "branch",
+    )
+    .flatMap(([, config]) => {
+      const rules = config.rules as {
+        required_status_checks?: { required_check?: { context: string }[] };
+      };
+      return (rules.required_status_checks?.required_check ?? []).map(
+        (check) => check.context,
+      );
+    });
+  return [...new Set([...protection, ...rulesets])];
+}
+
+function secretsOf(
+  stacks: Record<string, SynthesizedStack>,
+  repository: SynthesizedRepository,
+  name: string,
+): InventorySecret[] {
+  const stack = stacks[repository.stack];
+  const scoped = (
+    type: string,
+    scope: InventorySecret["scope"],
+  ): InventorySecret[] =>
+    resourcesOf(stack, type)
+      .filter(([, config]) => config.repository === repository.reference)
+      .map(([, config]) => ({ name: config.secret_name as string, scope }));
+
+  // organization secrets live in the primary stack and select repositories
+  // by name, see PublishingSecretSet
+  const organization = Object.values(stacks).flatMap((synthesized) =>
+    resourcesOf(synthesized, "github_actions_organization_secret")
+      .filter(([, config]) => {
+        const match = organizationSelectionRegex.exec(
+          String(config.selected_repository_ids),
+        );
+        return match && (JSON.parse(match[1]) as string[]).includes(name);
+      })
+      .map(([, config]) => ({
+        name: config.secret_name as string,
+        scope: "organization" as const,
+      })),
+  );
+
+  return [
+    ...scoped("github_actions_secret", "repository"),
+    ...scoped("github_actions_environment_secret", "environment"),
+    ...organization,
+  ].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function stateRepository(
+  state: TerraformState | undefined,
+  name: string,
+): ResourceConfig | undefined {
+  return state?.resources
+    ?.filter(
+      (resource) =>
+        resource.mode === "managed" && resource.type === "github_repository",
+    )
+    .flatMap((resource) => resource.instances)
+    .find((instance) => instance.attributes?.name === name)?.attributes;
+}
+
+/**
+ * Builds the inventory of all providers from the synthesized stacks and,
+ * where available, their state. The state adds the actual repository URLs
+ * and shows which repositories have not been deployed yet.
+ *
+ * @param states state by stack name
+ */
+export function buildInventory(
+  catalog: ProviderCatalog,
+  stacks: Record<string, SynthesizedStack>,
+  states: Record<string, TerraformState> = {},
+): FleetInventory {
+  const repositories = findRepositories(stacks);
+  const missing: string[] = [];
+
+  const providers = Object.keys(catalog)
+    .sort()
+    .map((provider): ProviderInventoryEntry => {
+      const entry = catalog[provider];
+      const [terraformProvider, versionConstraint] =
+        entry.terraformProvider.split("@");
+      const name = `cdktn-provider-${provider}`;
+      const goName = `${name}-go`;
+      const repository = repositories.get(name);
+      const goRepository = repositories.get(goName);
+      if (!repository) missing.push(provider);
+
+      const stack = repository ? stacks[repository.stack] : undefined;
+      const state = repository ? states[repository.stack] : undefined;
+      const owner = stack?.provider?.github?.[0]?.owner ?? "cdktn-io";
+      const urlOf = (repositoryName: string) =>
+        (stateRepository(state, repositoryName)?.html_url as string) ??
+        `https://github.com/${owner}/${repositoryName}`;
+
+      return {
+        provider,
+        stack: repository?.stack,
+        workspace:
+          repository && stack
+            ? synthesizedBackendLocation(repository.stack, stack)
+            : undefined,
+        terraformProvider,
+        versionConstraint,
+        repository: name,
+        repositoryUrl: urlOf(name),
+        goRepository: goRepository ? goName : undefined,
+        goRepositoryUrl: goRepository ? urlOf(goName) : undefined,
+        requiredChecks:
+          repository && stack
+            ? requiredChecksOf(stack, repository.reference)
+            : [],
+        secrets: repository ? secretsOf(stacks, repository, name) : [],
+        customRunner: entry.runner === "custom",
+        status: entry.status ?? "active",
+        archived: repository?.config.archived === true,
+        deployed: state
+          ? stateRepository(state, name) !== undefined
+          : undefined,
+      };
+    });
+
+  return { providers, missing };
+}
+
+/**
+ * Renders the inventory as Markdown, e.g. for the README or support docs
+ */
+export function renderInventoryMarkdown(inventory: FleetInventory): string {
+  const code = (value: string | undefined) => (value ? `\`${value}\`` : "-");
+  const lines = [
+    "<!-- Generated by `yarn inventory`, do not edit. -->",
+    "",
+    "| Provider | Terraform Provider | Version | Repositories | Shard | Workspace | Runner | Status |",
+    "| -------- | ------------------ | ------- | ------------ | ----- | --------- | ------ | ------ |",
+    ...inventory.providers.map((entry) => {
+      const repositories = [
+        `[${entry.repository}](${entry.repositoryUrl})`,
+        ...(entry.goRepository
+          ? [`[${entry.goRepository}](${entry.goRepositoryUrl})`]
+          : []),
+      ].join("<br>");
+      const status = [
+        entry.status,
+        ...(entry.archived ? ["archived"] : []),
+        ...(entry.deployed === false ? ["not deployed"] : []),
+      ].join(", ");
+      return `| ${entry.provider} | ${code(entry.terraformProvider)} | ${code(entry.versionConstraint)} | ${repositories} | ${entry.stack ?? "-"} | ${code(entry.workspace)} | ${entry.customRunner ? "custom" : "default"} | ${status} |`;
+    }),
+    "",
+  ];
+
+  inventory.providers
+    .filter((entry) => entry.stack)
+    .forEach((entry) => {
+      lines.push(
+        `### ${entry.provider}`,
+        "",
+        `- Required checks: ${entry.requiredChecks.map(code).join(", ") || "none"}`,
+        `- Secrets: ${
+          entry.secrets
+            .map((secret) =>
+              secret.scope === "repository"
+                ? code(secret.name)
+                : `${code(secret.name)} (${secret.scope})`,
+            )
+            .join(", ") || "none"
+        }`,
+        "",
+      );
+    });
+
+  if (inventory.missing.length > 0) {
+    lines.push(
+      `Missing in the synthesized stacks: ${inventory.missing.join(", ")}`,
+      "",
+    );
+  }
+  return lines.join("\n");
+}
@@ -0,0 +1,235 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: MPL-2.0
+ */
+
+import * as fs from "fs";
+import * as path from "path";
+import { findDuplicates } from "./validation";
+
+/**
+ * The kinds of repositories we manage, used to select per-category settings
+ */
+export type RepositoryCategory = "provider" | "go" | "construct" | "self";
+
+export const repositoryCategories: RepositoryCategory[] = [
+  "provider",
+  "go",
+  "construct",
+  "self",
+];
+
+export interface LabelDefinition {
+  name: string;
+  /**
+   * Hex color without the leading #
+   */
+  color: string;
+  description: string;
+}
+
+/**
+ * Contents of labels.json: labels for all repositories plus additions per
+ * repository category
+ */
+export type LabelCatalog = {
+  common: LabelDefinition[];
+} & Partial<Record<RepositoryCategory, LabelDefinition[]>>;
+
+export interface LabelReference {
+  label: string;
+  file: string;
+}
+
+const colorRegex = /^[0-9a-fA-F]{6}$/;
+
+/**
+ * @returns the common labels followed by the additions for the category
+ */
+export function labelsFor(
+  catalog: LabelCatalog,
+  category: RepositoryCategory,
+): LabelDefinition[] {
+  return [...catalog.common, ...(catalog[category] ?? [])];
+}
+
+/**
+ * Validates labels.json
+ *
+ * @returns a list of human readable errors, empty if the catalog is valid
+ */
+export function validateLabelCatalog(catalog: LabelCatalog): string[] {
+  const errors: string[] = [];
+
+  const unknownCategories = Object.keys(catalog).filter(
+    (category) =>
+      category !== "common" &&
+      !repositoryCategories.includes(category as RepositoryCategory),
+  );
+  if (unknownCategories.length > 0) {
+    errors.push(
+      `labels.json has unknown categories ${unknownCategories.join(", ")}. Supported categories are common, ${repositoryCategories.join(", ")}`,
+    );
+  }
+
+  if (!Array.isArray(catalog.common)) {
+    errors.push(`labels.json needs a "common" list of labels`);
+  }
+
+  Object.entries(catalog).forEach(([category, labels]) => {
+    if (!Array.isArray(labels)) {
+      errors.push(`labels.json: "${category}" must be a list of labels`);
+      return;
+    }
+
+    labels.forEach((label: LabelDefinition, index) => {
+      const prefix = `labels.json: ${category} label "${label.name ?? `#${index}`}"`;
+      if (typeof label.name !== "string" || !label.name.trim()) {
+        errors.push(`${prefix} needs a "name"`);
+      }
+      if (typeof label.color !== "string" || !colorRegex.test(label.color)) {
+        errors.push(
+          `${prefix} needs a "color" of six hex digits, got ${JSON.stringify(label.color)}`,
+        );
+      }
+      if (
+        typeof label.description !== "string" ||
+        label.description.length > 100
+      ) {
+        errors.push(
+          `${prefix} needs a "description" of at most 100 characters`,
+        );
+      }
+    });
+  });
+
+  // a label may only be defined once per repository
+  repositoryCategories.forEach((category) => {
+    const names = labelsFor(catalog, category)
+      .map((label) => label?.name)
+      .filter((name): name is string => typeof name === "string");
+    const duplicates = findDuplicates(names);
+    if (duplicates.length > 0) {
+      errors.push(
+        `labels.json defines ${duplicates.join(", ")} more than once for ${category} repositories`,
+      );
+    }
+  });
+
+  return errors;
+}
+
+function splitLabels(value: string): string[] {
+  return value
+    .replace(/^["']|["']$/g, "")
+    .split(",")
+    .map((label) => label.trim())
+    .filter((label) => label && !label.includes("${{"));
+}
+
+/**
+ * Finds the labels our workflows, issue templates and automation scripts add
+ * to or look for on issues and PRs
+ *
+ * @param githubDir path to the .github directory
+ */
+export function findReferencedLabels(githubDir: string): LabelReference[] {
+  const references: LabelReference[] = [];
+  const read = (dir: string, extensions: string[]) =>
+    fs.existsSync(dir)
+      ? fs
+          .readdirSync(dir)
+          .filter((file) => extensions.includes(path.extname(file)))
+          .map((file) => ({
+            file: path.join(path.basename(githubDir), path.basename(dir), file),
+            content: fs.readFileSync(path.join(dir, file), "utf8"),
+          }))
+      : [];
+
+  const yamlFiles = [
+    ...read(path.join(githubDir, "workflows"), [".yml", ".yaml"]),
+    ...read(path.join(githubDir, "ISSUE_TEMPLATE"), [".yml", ".yaml"]),
+  ];
+  yamlFiles.forEach(({ file, content }) => {
+    const lines = content.split("\n");
+    lines.forEach((line, index) => {
+      // labels: a,b / exempt-pr-labels: a,b / stale-issue-label: a
+      const keyMatch =
+        /^(\s*)(labels|[a-z-]+-labels?):\s*(\|)?\s*(.*?)\s*$/.exec(line);
+      if (keyMatch) {
+        const [, indent, , blockScalar, value] = keyMatch;
+        if (blockScalar) {
+          // labels: |
+          //   automerge
+          for (let i = index + 1; i < lines.length; i++) {
+            const itemIndent = /^(\s*)\S/.exec(lines[i]);
+            if (!itemIndent || itemIndent[1].length <= indent.length) break;
+            splitLabels(lines[i]).forEach((label) =>
+              references.push({ label, file }),
+            );
+          }
+        } else if (value && !value.startsWith("#")) {
+          splitLabels(value.replace(/\s+#.*$/, "")).forEach((label) =>
+            references.push({ label, file }),
+          );
+        }
+      }
+
+      // contains(github.event.pull_request.labels.*.name, 'automerge')
+      const expressionRegex = /labels\.\*\.name,\s*'([^']+)'/g;
+      let expressionMatch;
+      while ((expressionMatch = expressionRegex.exec(line)) !== null) {
+        references.push({ label: expressionMatch[1], file });
+      }
+    });
+  });
+
+  read(path.join(githubDir, "lib"), [".js"]).forEach(({ file, content }) => {
+    // labels: ["automerge", "auto-approve"]
+    const arrayRegex = /labels\s*[:=]\s*\[([^\]]*)\]/g;
+    let arrayMatch;
+    while ((arrayMatch = arrayRegex.exec(content)) !== null) {
+      const stringRegex = /["'`]([^"'`]+)["'`]/g;
+      let stringMatch;
+      while ((stringMatch = stringRegex.exec(arrayMatch[1])) !== null) {
+        references.push({ label: stringMatch[1], file });
+      }
+    }
+
+    // overrideLabel = "allow-destroy"
+    const singleRegex = /\b\w*Label\s*[:=]\s*["'`]([^"'`]+)["'`]/g;
+    let singleMatch;
+    while ((singleMatch = singleRegex.exec(content)) !== null) {
+      references.push({ label: singleMatch[1], file });
+    }
+  });
+
+  return references;
+}
+
+/**
+ * @returns an error for every label referenced by our automation that is not
+ * part of the catalog
+ */
+export function validateReferencedLabels(
+  catalog: LabelCatalog,
+  references: LabelReference[],
+): string[] {
+  const known = new Set(
+    Object.values(catalog)
+      .flat()
+      .map((label) => label?.name),
+  );
+
+  const missing = new Map<string, Set<string>>();
+  references
+    .filter(({ label }) => !known.has(label))
+    .forEach(({ label, file }) =>
+      missing.set(label, (missing.get(label) ?? new Set()).add(file)),
+    );
+
+  return [...missing.entries()].map(
+    ([label, files]) =>
+      `Label "${label}" is used by ${[...files].join(", ")} but missing in labels.json`,
+  );
+}
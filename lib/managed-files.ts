@@ -0,0 +1,274 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: MPL-2.0
+ */
+
+import * as fs from "fs";
+import * as path from "path";
+import { RepositoryCategory, repositoryCategories } from "./labels";
+import { ProviderCatalog, ProviderCatalogEntry } from "./provider-catalog";
+
+export interface ManagedFileDefinition {
+  /**
+   * Template rendered into the file, relative to the templates directory
+   */
+  template: string;
+  /**
+   * Repository categories the file is committed to. Go repositories only
+   * hold what the release workflow publishes, so they can't have managed
+   * files.
+   */
+  categories: RepositoryCategory[];
+}
+
+/**
+ * Files committed to the repositories by Terraform, keyed by their path in
+ * the repository, e.g. `SECURITY.md`
+ */
+export type ManagedFilesConfig = Record<string, ManagedFileDefinition>;
+
+/**
+ * A rendered file as committed by RepositorySetup
+ */
+export interface ManagedFile {
+  path: string;
+  content: string;
+}
+
+export type TemplateVariables = Record<string, string>;
+
+const organization = "cdktn-io";
+
+/**
+ * Variables templates of each category can use as `{{name}}`
+ */
+export const templateVariables: Record<RepositoryCategory, string[]> = {
+  provider: [
+    "organization",
+    "repository",
+    "repositoryUrl",
+    "provider",
+    "terraformProvider",
+    "registryUrl",
+    "npmPackage",
+    "goModule",
+  ],
+  go: [],
+  construct: ["organization", "repository", "repositoryUrl"],
+  self: ["organization", "repository", "repositoryUrl"],
+};
+
+const managedCategories: RepositoryCategory[] = repositoryCategories.filter(
+  (category) => category !== "go",
+);
+const variableRegex = /\{\{\s*([a-zA-Z]+)\s*\}\}/g;
+
+// variables that are only set if the catalog has what they need
+const optionalVariableHints: Record<string, string> = {
+  goModule: `Set "majorVersion" of the provider in provider.json.`,
+};
+
+/**
+ * @returns the variables of a repository without a provider
+ */
+export function repositoryTemplateVariables(
+  repository: string,
+): TemplateVariables {
+  return {
+    organization,
+    repository,
+    repositoryUrl: `https://github.com/${organization}/${repository}`,
+  };
+}
+
+/**
+ * `goModule` is only set with the `majorVersion` of the provider, Go module
+ * paths from v2 on end in `/vN`
+ *
+ * @returns the variables of a provider repository, e.g. its package names
+ */
+export function providerTemplateVariables(
+  provider: string,
+  entry: ProviderCatalogEntry,
+): TemplateVariables {
+  const repository = `cdktn-provider-${provider}`;
+  const [source] = entry.terraformProvider.split("@");
+  const [namespace, type] = source.split("/");
+  return {
+    ...repositoryTemplateVariables(repository),
+    provider,
+    terraformProvider: source,
+    registryUrl: `https://registry.terraform.io/providers/${namespace}/${type}/latest`,
+    npmPackage: `@cdktn/provider-${provider}`,
+    ...(entry.majorVersion !== undefined
+      ? {
+          goModule: `github.com/${organization}/${repository}-go/${provider}${entry.majorVersion >= 2 ? `/v${entry.majorVersion}` : ""}`,
+        }
+      : {}),
+  };
+}
+
+/**
+ * Replaces the `{{name}}` placeholders of a template
+ */
+export function renderTemplate(
+  template: string,
+  variables: TemplateVariables,
+): string {
+  return template.replace(variableRegex, (placeholder, name: string) => {
+    if (!(name in variables)) {
+      throw new Error(
+        [
+          `Unknown template variable ${placeholder}.`,
+          optionalVariableHints[name],
+        ]
+          .filter(Boolean)
+          .join(" "),
+      );
+    }
+    return variables[name];
+  });
+}
+
+/**
+ * Validates the files section of fleet.json. Templates are read, so unknown
+ * variables fail the synth instead of being committed verbatim, and so do
+ * variables some providers of the catalog don't have.
+ *
+ * @param templatesDir directory the templates are relative to
+ * @param providers catalog the variables of provider repositories are from
+ * @returns a list of human readable errors, empty if the config is valid
+ */
+export function validateManagedFilesConfig(
+  config: ManagedFilesConfig,
+  templatesDir: string,
+  providers: ProviderCatalog,
+): string[] {
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    return [`fleet.json: files must map repository paths to templates`];
+  }
+
+  const errors: string[] = [];
+  Object.entries(config).forEach(([filePath, definition]) => {
+    const prefix = `fleet.json: file "${filePath}"`;
+
+    if (
+      !filePath ||
+      path.isAbsolute(filePath) ||
+      path.posix.normalize(filePath) !== filePath ||
+      filePath.startsWith("..")
+    ) {
+      errors.push(`${prefix} must be a relative path inside the repository`);
+    }
+    if (filePath === ".github/CODEOWNERS") {
+      errors.push(
+        `${prefix} is generated by the add-codeowners workflow from provider.json`,
+      );
+    }
+
+    const categories = Array.isArray(definition?.categories)
+      ? definition.categories
+      : [];
+    if (categories.length === 0) {
+      errors.push(
+        `${prefix} needs a non-empty list of "categories" like provider or construct`,
+      );
+    }
+    const unknownCategories = categories.filter(
+      (category) => !managedCategories.includes(category),
+    );
+    if (unknownCategories.length > 0) {
+      errors.push(
+        `${prefix} has unsupported categories ${unknownCategories.join(", ")}. Supported categories are ${managedCategories.join(", ")}`,
+      );
+    }
+
+    if (typeof definition?.template !== "string" || !definition.template) {
+      errors.push(`${prefix} needs a "template" in templates/`);
+      return;
+    }
+    const templatePath = path.join(templatesDir, definition.template);
+    if (!fs.existsSync(templatePath)) {
+      errors.push(`${prefix} uses missing template ${definition.template}`);
+      return;
+    }
+
+    const usedVariables = [
+      ...fs.readFileSync(templatePath, "utf8").matchAll(variableRegex),
+    ].map(([, name]) => name);
+    categories
+      .filter((category) => managedCategories.includes(category))
+      .forEach((category) => {
+        const unknownVariables = [...new Set(usedVariables)].filter(
+          (name) => !templateVariables[category].includes(name),
+        );
+        if (unknownVariables.length > 0) {
+          errors.push(
+            `${prefix} uses variables ${unknownVariables.join(", ")}, which ${category} repositories don't have. Available are ${templateVariables[category].join(", ")}`,
+          );
+        }
+      });
+
+    if (categories.includes("provider")) {
+      Object.keys(optionalVariableHints)
+        .filter((name) => usedVariables.includes(name))
+        .forEach((name) => {
+          const missing = Object.entries(providers)
+            // malformed entries are reported by validateProviderCatalog
+            .filter(([, entry]) => typeof entry?.terraformProvider === "string")
+            .filter(
+              ([provider, entry]) =>
+                !(name in providerTemplateVariables(provider, entry)),
+            )
+            .map(([provider]) => provider);
+          if (missing.length > 0) {
+            errors.push(
+              `${prefix} uses ${name}, which providers ${missing.join(", ")} don't have. ${optionalVariableHints[name]}`,
+            );
+          }
+        });
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Renders the managed files of a repository
+ *
+ * @param templatesDir directory the templates are relative to
+ */
+export function managedFilesFor(
+  config: ManagedFilesConfig,
+  category: RepositoryCategory,
+  variables: TemplateVariables,
+  templatesDir: string,
+): ManagedFile[] {
+  return Object.entries(config)
+    .filter(([, definition]) => definition.categories.includes(category))
+    .map(([filePath, definition]) => {
+      const template = fs.readFileSync(
+        path.join(templatesDir, definition.template),
+        "utf8",
+      );
+      try {
+        return { path: filePath, content: renderTemplate(template, variables) };
+      } catch (e) {
+        throw new Error(
+          `Can't render ${filePath} for ${variables.repository}: ${(e as Error).message}`,
+        );
+      }
+    });
+}
+
+/**
+ * @returns the number of files managed in repositories of the category
+ */
+export function managedFileCount(
+  config: ManagedFilesConfig,
+  category: RepositoryCategory,
+): number {
+  return Object.values(config).filter((definition) =>
+    definition.categories.includes(category),
+  ).length;
+}
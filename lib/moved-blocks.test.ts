@@ -0,0 +1,191 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: MPL-2.0
+ */
+
+import { test } from "node:test";
+import * as assert from "node:assert";
+import {
+  planMoves,
+  renderMovedBlocks,
+  SynthesizedStack,
+  validateResourceMoves,
+} from "./moved-blocks";
+
+const repository = (name: string) => ({ name, visibility: "public" });
+
+const label = (repositoryReference: string, name: string) => ({
+  repository: repositoryReference,
+  name,
+  color: "5DC8DB",
+  "//": { metadata: { path: `repos/${name}` } },
+});
+
+const stack = (
+  repositories: Record<string, ReturnType<typeof repository>>,
+  labels: Record<string, ReturnType<typeof label>> = {},
+): SynthesizedStack => ({
+  resource: {
+    github_repository: repositories,
+    github_issue_label: labels,
+  },
+});
+
+test("matches resources whose logical ID changed", () => {
+  const before = stack(
+    { repo_old: repository("cdktn-provider-aws") },
+    { label_old: label("${github_repository.repo_old.name}", "automerge") },
+  );
+  const after = stack(
+    { repo_new: repository("cdktn-provider-aws") },
+    { label_new: label("${github_repository.repo_new.name}", "automerge") },
+  );
+
+  const plan = planMoves({ repos: before }, { repos: after });
+
+  assert.deepStrictEqual(plan.moves, [
+    {
+      stack: "repos",
+      from: "github_repository.repo_old",
+      to: "github_repository.repo_new",
+    },
+    {
+      stack: "repos",
+      from: "github_issue_label.label_old",
+      to: "github_issue_label.label_new",
+    },
+  ]);
+  assert.deepStrictEqual(plan.crossStackMoves, []);
+  assert.deepStrictEqual(plan.unmatched, []);
+});
+
+test("ignores attributes outside of the identity", () => {
+  const before = stack({}, { a: label("cdktn-provider-aws", "automerge") });
+  const after = stack(
+    {},
+    { b: { ...label("cdktn-provider-aws", "automerge"), color: "EE2222" } },
+  );
+
+  const plan = planMoves({ repos: before }, { repos: after });
+
+  assert.deepStrictEqual(plan.moves, [
+    {
+      stack: "repos",
+      from: "github_issue_label.a",
+      to: "github_issue_label.b",
+    },
+  ]);
+});
+
+test("reports resources that moved to another stack", () => {
+  const plan = planMoves(
+    { repos: stack({ repo: repository("cdktn-provider-aws") }) },
+    {
+      repos: stack({}),
+      "repos-partners": stack({ repo: repository("cdktn-provider-aws") }),
+    },
+  );
+
+  assert.deepStrictEqual(plan.moves, []);
+  assert.deepStrictEqual(plan.crossStackMoves, [
+    {
+      fromStack: "repos",
+      from: "github_repository.repo",
+      toStack: "repos-partners",
+      to: "github_repository.repo",
+    },
+  ]);
+});
+
+test("matches renamed repositories and the resources referencing them", () => {
+  const before = stack(
+    { repo_old: repository("cdktn-provider-old") },
+    { label_old: label("cdktn-provider-old", "automerge") },
+  );
+  const after = stack(
+    { repo_new: repository("cdktn-provider-new") },
+    { label_new: label("cdktn-provider-new", "automerge") },
+  );
+
+  const plan = planMoves(
+    { repos: before },
+    { repos: after },
+    { renames: { "cdktn-provider-old": "cdktn-provider-new" } },
+  );
+
+  assert.deepStrictEqual(
+    plan.moves.map((move) => [move.from, move.to]),
+    [
+      ["github_repository.repo_old", "github_repository.repo_new"],
+      ["github_issue_label.label_old", "github_issue_label.label_new"],
+    ],
+  );
+  assert.deepStrictEqual(plan.unmatched, []);
+});
+
+test("leaves ambiguous and unknown resources unmatched", () => {
+  const before = stack({
+    a: repository("cdktn-provider-aws"),
+    b: repository("cdktn-provider-aws"),
+    gone: repository("cdktn-provider-gone"),
+  });
+  const after = stack({
+    c: repository("cdktn-provider-aws"),
+    new: repository("cdktn-provider-new"),
+  });
+
+  const plan = planMoves({ repos: before }, { repos: after });
+
+  assert.deepStrictEqual(plan.moves, []);
+  assert.deepStrictEqual(
+    plan.unmatched.map(({ address, change }) => [address, change]),
+    [
+      ["github_repository.a", "removed"],
+      ["github_repository.b", "removed"],
+      ["github_repository.c", "added"],
+      ["github_repository.gone", "removed"],
+      ["github_repository.new", "added"],
+    ],
+  );
+  assert.match(plan.unmatched[0].reason, /ambiguous, 2 old and 1 new/);
+});
+
+test("renders moved blocks", () => {
+  assert.strictEqual(
+    renderMovedBlocks([
+      {
+        stack: "repos",
+        from: "github_repository.a",
+        to: "github_repository.b",
+      },
+    ]),
+    "moved {\n  from = github_repository.a\n  to   = github_repository.b\n}\n",
+  );
+});
+
+test("rejects moves to unknown stacks and duplicate targets", () => {
+  const errors = validateResourceMoves(
+    [
+      {
+        stack: "repos",
+        from: "github_repository.a",
+        to: "github_repository.c",
+      },
+      {
+        stack: "repos",
+        from: "github_repository.b",
+        to: "github_repository.c",
+      },
+      { stack: "unknown", from: "github_repository.d", to: "not an address" },
+    ],
+    ["repos"],
+  );
+
+  assert.strictEqual(errors.length, 3);
+  assert.match(errors[0], /move #2 has unknown stack "unknown"/);
+  assert.match(errors[1], /move #2 needs a "to" address/);
+  assert.match(
+    errors[2],
+    /moves more than one resource to repos: github_repository.c/,
+  );
+});
@@ -0,0 +1,394 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: MPL-2.0
+ */
+
+import { IConstruct } from "constructs";
+import { IAspect, MigrateIds, TerraformResource } from "cdktf";
+import { findDuplicates } from "./validation";
+
+/**
+ * The parts of a synthesized cdk.tf.json we read, e.g. to match resources
+ */
+export interface SynthesizedStack {
+  terraform?: {
+    backend?: Record<string, Record<string, unknown>>;
+  };
+  provider?: Record<string, Record<string, unknown>[]>;
+  resource?: Record<string, Record<string, Record<string, unknown>>>;
+  data?: Record<string, Record<string, Record<string, unknown>>>;
+}
+
+export interface ResourceMove {
+  stack: string;
+  /**
+   * Terraform addresses, e.g. `github_repository.cdktn-provider-aws_repo_45EAAAF4`
+   */
+  from: string;
+  to: string;
+}
+
+export interface CrossStackMove {
+  fromStack: string;
+  from: string;
+  toStack: string;
+  to: string;
+}
+
+export interface UnmatchedResource {
+  stack: string;
+  address: string;
+  /**
+   * `removed` resources would be destroyed, `added` ones created
+   */
+  change: "removed" | "added";
+  /**
+   * Why the resource could not be matched
+   */
+  reason: string;
+}
+
+export interface MovedPlan {
+  moves: ResourceMove[];
+  crossStackMoves: CrossStackMove[];
+  unmatched: UnmatchedResource[];
+}
+
+export interface MovedPlanOptions {
+  /**
+   * Old to new repository names, for renamed providers or constructs
+   */
+  renames?: Record<string, string>;
+}
+
+/**
+ * Attributes that identify a resource on GitHub. Two resources with the same
+ * values are the same object, no matter how the construct tree changed.
+ * Types missing here need to match in their whole configuration.
+ */
+const identityAttributes: Record<string, string[]> = {
+  github_repository: ["name"],
+  github_issue_label: ["repository", "name"],
+  github_branch_protection: ["repository_id", "pattern"],
+  github_repository_ruleset: ["repository", "name"],
+  github_team_repository: ["repository", "team_id"],
+  github_repository_webhook: ["repository", "configuration.url"],
+  github_repository_dependabot_security_updates: ["repository"],
+  github_actions_secret: ["repository", "secret_name"],
+  github_actions_organization_secret: ["secret_name"],
+  github_actions_environment_secret: [
+    "repository",
+    "environment",
+    "secret_name",
+  ],
+  github_repository_environment: ["repository", "environment"],
+  github_repository_environment_deployment_policy: [
+    "repository",
+    "environment",
+    "branch_pattern",
+  ],
+};
+
+const referenceRegex = /\$\{(data\.)?([a-z0-9_]+)\.([A-Za-z0-9_-]+)\.[^}]*\}/g;
+
+function attribute(config: Record<string, unknown>, path: string): unknown {
+  return path
+    .split(".")
+    .reduce<unknown>(
+      (value, key) =>
+        value && typeof value === "object"
+          ? (value as Record<string, unknown>)[key]
+          : undefined,
+      config,
+    );
+}
+
+function withoutMetadata(
+  config: Record<string, unknown>,
+): Record<string, unknown> {
+  return Object.fromEntries(
+    Object.entries(config).filter(([key]) => key !== "//"),
+  );
+}
+
+/**
+ * Computes an identity for every resource of a stack that does not depend on
+ * logical IDs: references to other resources are replaced with the identity
+ * of the referenced resource
+ *
+ * @returns identity by Terraform address
+ */
+export function resourceIdentities(
+  stack: SynthesizedStack,
+  options: MovedPlanOptions = {},
+): Map<string, string> {
+  const identities = new Map<string, string>();
+  const inProgress = new Set<string>();
+  const renames = options.renames ?? {};
+
+  const normalize = (value: unknown): unknown => {
+    if (typeof value === "string") {
+      if (renames[value] !== undefined) return renames[value];
+      return value.replace(
+        referenceRegex,
+        (reference, data: string | undefined, type: string, id: string) => {
+          if (data) {
+            const config = stack.data?.[type]?.[id];
+            return config
+              ? `data.${type}(${JSON.stringify(normalize(withoutMetadata(config)))})`
+              : reference;
+          }
+          return stack.resource?.[type]?.[id]
+            ? `(${identityOf(type, id)})`
+            : reference;
+        },
+      );
+    }
+    if (Array.isArray(value)) return value.map(normalize);
+    if (value && typeof value === "object") {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, v]) => [key, normalize(v)]),
+      );
+    }
+    return value;
+  };
+
+  const identityOf = (type: string, id: string): string => {
+    const address = `${type}.${id}`;
+    const known = identities.get(address);
+    if (known) return known;
+    // cyclic references can not be resolved, fall back to the address
+    if (inProgress.has(address)) return address;
+    inProgress.add(address);
+
+    const config = withoutMetadata(
+      (stack.resource?.[type]?.[id] ?? {}) as Record<string, unknown>,
+    );
+    const attributes = identityAttributes[type];
+    const values = attributes
+      ? attributes.map((path) => normalize(attribute(config, path)))
+      : normalize(config);
+    const identity = `${type}${JSON.stringify(values)}`;
+
+    inProgress.delete(address);
+    identities.set(address, identity);
+    return identity;
+  };
+
+  Object.entries(stack.resource ?? {}).forEach(([type, resources]) =>
+    Object.keys(resources).forEach((id) => identityOf(type, id)),
+  );
+
+  return identities;
+}
+
+function groupByIdentity(
+  addresses: { stack: string; address: string; identity: string }[],
+) {
+  const groups = new Map<string, { stack: string; address: string }[]>();
+  addresses.forEach(({ stack, address, identity }) =>
+    groups.set(identity, [...(groups.get(identity) ?? []), { stack, address }]),
+  );
+  return groups;
+}
+
+/**
+ * Compares the synthesized stacks of two revisions and matches resources
+ * whose logical ID changed but whose identity did not
+ *
+ * @param before stacks of the old revision, by stack name
+ * @param after stacks of the new revision, by stack name
+ */
+export function planMoves(
+  before: Record<string, SynthesizedStack>,
+  after: Record<string, SynthesizedStack>,
+  options: MovedPlanOptions = {},
+): MovedPlan {
+  const removed: { stack: string; address: string; identity: string }[] = [];
+  const added: { stack: string; address: string; identity: string }[] = [];
+
+  [...new Set([...Object.keys(before), ...Object.keys(after)])].forEach(
+    (stack) => {
+      const oldIdentities = resourceIdentities(before[stack] ?? {}, options);
+      const newIdentities = resourceIdentities(after[stack] ?? {});
+
+      oldIdentities.forEach((identity, address) => {
+        if (!newIdentities.has(address)) {
+          removed.push({ stack, address, identity });
+        }
+      });
+      newIdentities.forEach((identity, address) => {
+        if (!oldIdentities.has(address)) {
+          added.push({ stack, address, identity });
+        }
+      });
+    },
+  );
+
+  const plan: MovedPlan = { moves: [], crossStackMoves: [], unmatched: [] };
+  const removedByIdentity = groupByIdentity(removed);
+  const addedByIdentity = groupByIdentity(added);
+
+  removedByIdentity.forEach((from, identity) => {
+    const to = addedByIdentity.get(identity) ?? [];
+    if (from.length === 1 && to.length === 1) {
+      if (from[0].stack === to[0].stack) {
+        plan.moves.push({
+          stack: from[0].stack,
+          from: from[0].address,
+          to: to[0].address,
+        });
+      } else {
+        plan.crossStackMoves.push({
+          fromStack: from[0].stack,
+          from: from[0].address,
+          toStack: to[0].stack,
+          to: to[0].address,
+        });
+      }
+      addedByIdentity.delete(identity);
+      return;
+    }
+
+    const reason =
+      to.length === 0
+        ? "no resource with the same identity in the new revision"
+        : `ambiguous, ${from.length} old and ${to.length} new resources share its identity`;
+    from.forEach(({ stack, address }) =>
+      plan.unmatched.push({ stack, address, change: "removed", reason }),
+    );
+    to.forEach(({ stack, address }) =>
+      plan.unmatched.push({ stack, address, change: "added", reason }),
+    );
+    addedByIdentity.delete(identity);
+  });
+
+  addedByIdentity.forEach((to) =>
+    to.forEach(({ stack, address }) =>
+      plan.unmatched.push({
+        stack,
+        address,
+        change: "added",
+        reason: "no resource with the same identity in the old revision",
+      }),
+    ),
+  );
+
+  return plan;
+}
+
+/**
+ * @returns Terraform `moved` blocks for the moves of a single stack
+ */
+export function renderMovedBlocks(moves: ResourceMove[]): string {
+  return moves
+    .map((move) => `moved {\n  from = ${move.from}\n  to   = ${move.to}\n}\n`)
+    .join("\n");
+}
+
+/**
+ * @returns `terraform state mv` commands for the moves of a single stack
+ */
+export function renderStateMvCommands(moves: ResourceMove[]): string {
+  return moves
+    .map((move) => `terraform state mv '${move.from}' '${move.to}'\n`)
+    .join("");
+}
+
+const addressRegex = /^[a-z0-9_]+\.[A-Za-z0-9_-]+$/;
+
+/**
+ * Validates the moves of moved.json
+ *
+ * @param stacks names of the synthesized stacks
+ * @returns a list of human readable errors, empty if the moves are valid
+ */
+export function validateResourceMoves(
+  moves: ResourceMove[],
+  stacks: string[],
+): string[] {
+  if (!Array.isArray(moves)) {
+    return ["moved.json must be a list of moves"];
+  }
+
+  const errors: string[] = [];
+  moves.forEach((move, index) => {
+    const prefix = `moved.json: move #${index}`;
+    if (!stacks.includes(move?.stack)) {
+      errors.push(
+        `${prefix} has unknown stack ${JSON.stringify(move?.stack)}. Stacks are ${stacks.join(", ")}`,
+      );
+    }
+    (["from", "to"] as const).forEach((key) => {
+      if (typeof move?.[key] !== "string" || !addressRegex.test(move[key])) {
+        errors.push(
+          `${prefix} needs a "${key}" address like github_repository.cdktn-provider-aws_repo_45EAAAF4`,
+        );
+      }
+    });
+  });
+
+  const targets = moves.map((move) => `${move?.stack}: ${move?.to}`);
+  const duplicates = findDuplicates(targets);
+  if (duplicates.length > 0) {
+    errors.push(
+      `moved.json moves more than one resource to ${duplicates.join(", ")}`,
+    );
+  }
+
+  return errors;
+}
+
+/**
+ * Adds moves to the committed ones. A resource that moves again keeps its
+ * original address as `from`, so stacks that were not deployed in between
+ * still find it in their state.
+ */
+export function mergeResourceMoves(
+  existing: ResourceMove[],
+  moves: ResourceMove[],
+): ResourceMove[] {
+  const merged = [...existing];
+  moves.forEach((move) => {
+    const previous = merged.findIndex(
+      (m) => m.stack === move.stack && m.to === move.from,
+    );
+    if (previous !== -1) {
+      merged[previous] = { ...merged[previous], to: move.to };
+    } else if (
+      // already recorded, e.g. by an earlier run
+      !merged.some((m) => m.stack === move.stack && m.to === move.to)
+    ) {
+      merged.push(move);
+    }
+  });
+  return merged;
+}
+
+/**
+ * Adds the `moved` blocks of moved.json to the resources they target. A
+ * resource can only have a single move, so all other resources get the
+ * legacy ID migration of `MigrateIds` if `migrateIds` is set.
+ */
+export class ResourceMoves implements IAspect {
+  private readonly migrateIds?: MigrateIds;
+
+  constructor(
+    private readonly moves: ResourceMove[],
+    options: { migrateIds?: boolean } = {},
+  ) {
+    this.migrateIds = options.migrateIds ? new MigrateIds() : undefined;
+  }
+
+  visit(node: IConstruct): void {
+    if (TerraformResource.isTerraformResource(node)) {
+      const address = `${node.terraformResourceType}.${node.friendlyUniqueId}`;
+      const move = this.moves.find((m) => m.to === address);
+      if (move) {
+        node.moveFromId(move.from);
+        return;
+      }
+    }
+    this.migrateIds?.visit(node);
+  }
+}
@@ -0,0 +1,336 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: MPL-2.0
+ */
+
+import { ProtectionMode, protectionModes } from "./repository";
+import { TeamAccess, validateTeamAccess } from "./teams";
+import { findDuplicates, isStringArray } from "./validation";
+
+export type Language = "typescript" | "python" | "csharp" | "java" | "go";
+
+export const supportedLanguages: Language[] = [
+  "typescript",
+  "python",
+  "csharp",
+  "java",
+  "go",
+];
+
+/**
+ * Languages published by provider repositories unless fleet.json or the
+ * provider override them
+ */
+export const defaultProviderLanguages: Language[] = [
+  "typescript",
+  "python",
+  "go",
+];
+
+/**
+ * @returns the name of the status check packaging the language
+ */
+export function packageCheckFor(language: Language): string {
+  return `package-${
+    language === "typescript"
+      ? "js"
+      : language === "csharp"
+        ? "dotnet"
+        : language
+  }`;
+}
+
+/**
+ * @returns a list of human readable errors, empty if the languages are valid
+ */
+export function validateLanguages(
+  languages: unknown,
+  prefix: string,
+): string[] {
+  if (
+    !Array.isArray(languages) ||
+    languages.length === 0 ||
+    !languages.every((language) => typeof language === "string")
+  ) {
+    return [`${prefix} "languages" must be a non-empty list`];
+  }
+
+  const errors: string[] = [];
+  const unknownLanguages = languages.filter(
+    (language) => !supportedLanguages.includes(language as Language),
+  );
+  if (unknownLanguages.length > 0) {
+    errors.push(
+      `${prefix} has unknown languages ${unknownLanguages.join(", ")}. Supported languages are ${supportedLanguages.join(", ")}`,
+    );
+  }
+  const duplicateLanguages = findDuplicates(languages);
+  if (duplicateLanguages.length > 0) {
+    errors.push(
+      `${prefix} lists languages more than once: ${duplicateLanguages.join(", ")}`,
+    );
+  }
+  return errors;
+}
+
+/**
+ * `default` runs the provider's workflows on GitHub hosted runners, `custom`
+ * on our larger custom runners (needed for the big providers like aws).
+ */
+export type ProviderRunner = "default" | "custom";
+
+/**
+ * `deprecated` removes everything that writes to the repositories, a later
+ * `archived` archives them, as archived repositories are read-only
+ */
+export type ProviderStatus = "active" | "deprecated" | "archived";
+
+export interface ProviderCatalogEntry {
+  /**
+   * Terraform provider source and version constraint, passed verbatim to
+   * projen, e.g. `hashicorp/aws@~> 6.0`
+   */
+  terraformProvider: string;
+  languages?: Language[];
+  runner?: ProviderRunner;
+  /**
+   * Topics added on top of the default topics and the provider key
+   */
+  topics?: string[];
+  description?: string;
+  /**
+   * @default "active"
+   */
+  status?: ProviderStatus;
+  /**
+   * GitHub users (`@octocat`) or teams (`@cdktn-io/team`) owning the provider
+   */
+  owners?: string[];
+  /**
+   * Overrides the fleet-wide protection mode of fleet.json, e.g. to migrate
+   * a single provider to rulesets first
+   */
+  protection?: ProtectionMode;
+  /**
+   * Teams granted access to the provider repository and its Go repository
+   * on top of the fleet-wide teams of fleet.json, e.g. community maintainers
+   * with `maintain`
+   */
+  teams?: TeamAccess;
+  /**
+   * Major version of the published bindings. Go modules from v2 on end in
+   * `/vN`, so managed files using `{{goModule}}` need it.
+   */
+  majorVersion?: number;
+}
+
+/**
+ * Contents of provider.json, keyed by provider key
+ */
+export type ProviderCatalog = Record<string, ProviderCatalogEntry>;
+
+const knownEntryKeys: (keyof ProviderCatalogEntry)[] = [
+  "terraformProvider",
+  "languages",
+  "runner",
+  "topics",
+  "description",
+  "status",
+  "owners",
+  "protection",
+  "teams",
+  "majorVersion",
+];
+const runners: ProviderRunner[] = ["default", "custom"];
+const statuses: ProviderStatus[] = ["active", "deprecated", "archived"];
+
+const terraformProviderRegex = /^(?:([\w-]+)\/)?([\w-]+)@(.+)$/;
+const ownerRegex = /^@[A-Za-z0-9-]+(\/[A-Za-z0-9_.-]+)?$/;
+const topicRegex = /^[a-z0-9][a-z0-9-]{0,49}$/;
+
+/**
+ * Splits the terraformProvider string of a catalog entry into its parts
+ *
+ * @param terraformProvider e.g. `hashicorp/aws@~> 6.0`
+ * @returns undefined if the string can not be parsed
+ */
+export function parseTerraformProvider(terraformProvider: string):
+  | {
+      namespace?: string;
+      name: string;
+      constraint: string;
+    }
+  | undefined {
+  const match = terraformProviderRegex.exec(terraformProvider);
+  if (!match) return undefined;
+
+  return {
+    namespace: match[1],
+    name: match[2],
+    constraint: match[3].trim(),
+  };
+}
+
+/**
+ * Validates the given catalog entries against the schema
+ *
+ * @param fleetLanguages `providerLanguages` of fleet.json, the languages
+ * providers without an override publish
+ * @returns a list of human readable errors, empty if the catalog is valid
+ */
+export function validateProviderCatalog(
+  catalog: ProviderCatalog,
+  fleetLanguages: Language[] = defaultProviderLanguages,
+): string[] {
+  const errors: string[] = [];
+
+  Object.entries(catalog).forEach(([key, entry]) => {
+    const prefix = `provider.json: "${key}"`;
+
+    if (typeof entry !== "object" || entry === null || Array.isArray(entry)) {
+      errors.push(
+        `${prefix} must be an object with at least a "terraformProvider" property`,
+      );
+      return;
+    }
+
+    const unknownKeys = Object.keys(entry).filter(
+      (entryKey) =>
+        !knownEntryKeys.includes(entryKey as keyof ProviderCatalogEntry),
+    );
+    if (unknownKeys.length > 0) {
+      errors.push(
+        `${prefix} has unknown properties ${unknownKeys.join(", ")}. Allowed properties are ${knownEntryKeys.join(", ")}`,
+      );
+    }
+
+    // -go suffix is forbidden as it conflicts with the go package repositories
+    if (key.endsWith("-go")) {
+      errors.push(
+        `${prefix} has a -go suffix which is not allowed due to conflicts with go package repositories. Please remove the -go suffix from the provider key`,
+      );
+    }
+
+    const terraformProvider =
+      typeof entry.terraformProvider === "string"
+        ? parseTerraformProvider(entry.terraformProvider)
+        : undefined;
+    if (!terraformProvider) {
+      errors.push(
+        `${prefix} needs a "terraformProvider" in the form namespace/name@constraint, got ${JSON.stringify(entry.terraformProvider)}`,
+      );
+    } else if (terraformProvider.name.replace(/-/g, "") !== key) {
+      // the key needs to match the provider name, otherwise publishing go packages fails
+      errors.push(
+        `${prefix} does not match the provider name "${terraformProvider.name}". This leads to issues when deploying go packages. Please rename the provider key to "${terraformProvider.name.replace(/-/g, "")}"`,
+      );
+    }
+
+    if (entry.languages !== undefined) {
+      errors.push(...validateLanguages(entry.languages, prefix));
+      // providers got their Go repository with the fleet languages, leaving
+      // go out afterwards would destroy it
+      if (
+        isStringArray(entry.languages) &&
+        fleetLanguages.includes("go") &&
+        !entry.languages.includes("go")
+      ) {
+        errors.push(
+          `${prefix} "languages" drops go, which would destroy the existing Go repository cdktn-provider-${key}-go. Keep go in the languages of the provider`,
+        );
+      }
+    }
+
+    if (entry.runner !== undefined && !runners.includes(entry.runner)) {
+      errors.push(
+        `${prefix} has unknown runner ${JSON.stringify(entry.runner)}. Supported runners are ${runners.join(", ")}`,
+      );
+    }
+
+    if (entry.topics !== undefined) {
+      if (!isStringArray(entry.topics)) {
+        errors.push(`${prefix} "topics" must be a list of strings`);
+      } else {
+        const invalidTopics = entry.topics.filter(
+          (topic) => !topicRegex.test(topic),
+        );
+        if (invalidTopics.length > 0) {
+          errors.push(
+            `${prefix} has invalid topics ${invalidTopics.join(", ")}. Topics must be lowercase, start with a letter or number and may contain hyphens`,
+          );
+        }
+        // the governance checks skip repositories with the topic, it is only
+        // added for the deprecated and archived status
+        if (entry.topics.includes("deprecated")) {
+          errors.push(
+            `${prefix} "topics" must not include deprecated, set "status" to deprecated instead`,
+          );
+        }
+      }
+    }
+
+    if (
+      entry.description !== undefined &&
+      (typeof entry.description !== "string" || entry.description.length > 350)
+    ) {
+      errors.push(
+        `${prefix} "description" must be a string of at most 350 characters`,
+      );
+    }
+
+    if (entry.status !== undefined && !statuses.includes(entry.status)) {
+      errors.push(
+        `${prefix} has unknown status ${JSON.stringify(entry.status)}. Supported states are ${statuses.join(", ")}`,
+      );
+    }
+
+    if (entry.owners !== undefined) {
+      if (!isStringArray(entry.owners)) {
+        errors.push(`${prefix} "owners" must be a list of strings`);
+      } else {
+        const invalidOwners = entry.owners.filter(
+          (owner) => !ownerRegex.test(owner),
+        );
+        if (invalidOwners.length > 0) {
+          errors.push(
+            `${prefix} has invalid owners ${invalidOwners.join(", ")}. Owners must be GitHub users (@user) or teams (@org/team)`,
+          );
+        }
+        // CODEOWNERS only accepts teams of the organization owning the repository
+        const foreignTeams = entry.owners.filter(
+          (owner) =>
+            ownerRegex.test(owner) &&
+            owner.includes("/") &&
+            !owner.startsWith("@cdktn-io/"),
+        );
+        if (foreignTeams.length > 0) {
+          errors.push(
+            `${prefix} has owners ${foreignTeams.join(", ")} outside of the cdktn-io organization`,
+          );
+        }
+      }
+    }
+
+    if (
+      entry.protection !== undefined &&
+      !protectionModes.includes(entry.protection)
+    ) {
+      errors.push(
+        `${prefix} has unknown protection mode ${JSON.stringify(entry.protection)}. Supported modes are ${protectionModes.join(", ")}`,
+      );
+    }
+
+    if (
+      entry.majorVersion !== undefined &&
+      (!Number.isInteger(entry.majorVersion) || entry.majorVersion < 0)
+    ) {
+      errors.push(`${prefix} "majorVersion" must be a non-negative integer`);
+    }
+
+    if (entry.teams !== undefined) {
+      errors.push(...validateTeamAccess(entry.teams, `${prefix} "teams"`));
+    }
+  });
+
+  return errors;
+}
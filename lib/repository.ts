@@ -5,36 +5,160 @@
 
 import { Construct } from "constructs";
 import { SecretFromVariable } from "./secrets";
+import { LabelDefinition } from "./labels";
+import { RepositoryWebhookTarget } from "./webhooks";
+import { RepositoryTeam, teamRepositoryId } from "./teams";
+import { ManagedFile } from "./managed-files";
 import { GithubProvider } from "@cdktf/provider-github/lib/provider";
 import { Repository } from "@cdktf/provider-github/lib/repository";
 import { DataGithubRepository } from "@cdktf/provider-github/lib/data-github-repository";
 import { IssueLabel } from "@cdktf/provider-github/lib/issue-label";
 import { BranchProtection } from "@cdktf/provider-github/lib/branch-protection";
+import {
+  RepositoryRuleset,
+  RepositoryRulesetBypassActors,
+} from "@cdktf/provider-github/lib/repository-ruleset";
 import { TeamRepository } from "@cdktf/provider-github/lib/team-repository";
 import { RepositoryWebhook } from "@cdktf/provider-github/lib/repository-webhook";
+import { RepositoryFile } from "@cdktf/provider-github/lib/repository-file";
 import { RepositoryDependabotSecurityUpdates } from "@cdktf/provider-github/lib/repository-dependabot-security-updates";
 
-export interface ITeam {
-  id: string;
+/**
+ * How main is protected. `both` is meant for migrating between classic
+ * branch protection and rulesets without a window where main is unprotected:
+ * switch to `both`, deploy, then switch to the target mode and deploy again.
+ */
+export type ProtectionMode = "branch-protection" | "ruleset" | "both";
+
+export const protectionModes: ProtectionMode[] = [
+  "branch-protection",
+  "ruleset",
+  "both",
+];
+
+export type DeployActorType =
+  | "Integration"
+  | "OrganizationAdmin"
+  | "RepositoryRole"
+  | "Team";
+
+export const deployActorTypes: DeployActorType[] = [
+  "Integration",
+  "OrganizationAdmin",
+  "RepositoryRole",
+  "Team",
+];
+
+/**
+ * Identity Terraform authenticates as when deploying the stacks, e.g. a
+ * GitHub App
+ */
+export interface DeployActor {
+  actorId: number;
+  actorType: DeployActorType;
 }
 
 export interface RepositoryConfig {
   description?: string;
   topics?: string[];
-  team: ITeam;
+  /**
+   * Teams granted access, usually resolved from fleet.json with `Teams`
+   */
+  teams: RepositoryTeam[];
   protectMain?: boolean;
   protectMainChecks?: string[];
-  webhookUrl: string;
+  /**
+   * @default "branch-protection"
+   */
+  protection?: ProtectionMode;
+  /**
+   * ID of the GitHub App that may bypass the rulesets, e.g. to merge
+   * automation PRs. Only used with rulesets.
+   */
+  bypassAppId?: number;
+  /**
+   * Tags matching this pattern can not be moved or deleted. Only used with
+   * rulesets.
+   *
+   * @default "v*"
+   */
+  releaseTagPattern?: string;
+  /**
+   * Labels to create, usually resolved from labels.json with `labelsFor`
+   *
+   * @default RepositorySetup.defaultLabels
+   */
+  labels?: LabelDefinition[];
+  /**
+   * Usually resolved from fleet.json with `WebhookDestinations`
+   */
+  webhooks: RepositoryWebhookTarget[];
+  /**
+   * Files committed to main, usually rendered from fleet.json with
+   * `managedFilesFor`. Terraform pushes them directly, so protecting main
+   * needs the `ruleset` mode with a `deployActor` that may bypass it.
+   */
+  files?: ManagedFile[];
+  /**
+   * May always bypass the main ruleset of repositories with managed files
+   */
+  deployActor?: DeployActor;
+  /**
+   * Archived repositories are read-only. The GitHub API can not unarchive
+   * them.
+   */
+  archived?: boolean;
   provider: GithubProvider;
 }
 
+/**
+ * Overrides for repositories of deprecated providers, deployed before they
+ * are archived: archived repositories are read-only, so everything that
+ * would need to write to them later is dropped while they are still
+ * writable. Labels and managed files stay, dropping them would delete them.
+ */
+export const deprecatedRepositoryConfig: Required<
+  Pick<RepositoryConfig, "protectMain" | "webhooks">
+> = {
+  protectMain: false,
+  webhooks: [],
+};
+
+/**
+ * Overrides for repositories of archived providers, deployed after the
+ * teardown of `deprecatedRepositoryConfig`, so archiving is the only change
+ */
+export const archivedRepositoryConfig: Required<
+  Pick<RepositoryConfig, "archived" | "protectMain" | "webhooks">
+> = {
+  ...deprecatedRepositoryConfig,
+  archived: true,
+};
+
 export class RepositorySetup extends Construct {
+  public static defaultLabels: LabelDefinition[] = [
+    { name: "automerge", color: "5DC8DB", description: "" },
+    { name: "no-auto-close", color: "EE2222", description: "" },
+    { name: "auto-approve", color: "8BF8BD", description: "" },
+  ];
+
   constructor(
     scope: Construct,
     name: string,
     config: Pick<
       RepositoryConfig,
-      "team" | "webhookUrl" | "provider" | "protectMain" | "protectMainChecks"
+      | "teams"
+      | "webhooks"
+      | "provider"
+      | "protectMain"
+      | "protectMainChecks"
+      | "protection"
+      | "bypassAppId"
+      | "releaseTagPattern"
+      | "labels"
+      | "files"
+      | "deployActor"
+      | "archived"
     > & {
       repository: Repository | DataGithubRepository;
     },
@@ -45,34 +169,40 @@ export class RepositorySetup extends Construct {
       protectMain = false,
       // TODO: Re-add license/cla ?
       protectMainChecks = ["build"], // , "license/cla"],
+      protection = "branch-protection",
+      bypassAppId,
+      releaseTagPattern = "v*",
+      labels = RepositorySetup.defaultLabels,
+      files = [],
+      deployActor,
+      archived,
       provider,
       repository,
-      team,
-      webhookUrl,
+      teams,
+      webhooks,
     } = config;
 
-    new IssueLabel(this, `automerge-label`, {
-      color: "5DC8DB",
-      name: "automerge",
-      repository: repository.name,
-      provider,
-    });
-
-    new IssueLabel(this, `no-auto-close-label`, {
-      color: "EE2222",
-      name: "no-auto-close",
-      repository: repository.name,
-      provider,
+    // the construct id only depends on the name so labels keep their state
+    // when they move between categories in labels.json
+    labels.forEach((label) => {
+      new IssueLabel(this, `${label.name}-label`, {
+        color: label.color,
+        name: label.name,
+        description: label.description || undefined,
+        repository: repository.name,
+        // archived repositories are read-only, keep the last definition
+        lifecycle: archived ? { ignoreChanges: "all" } : undefined,
+        provider,
+      });
     });
 
-    new IssueLabel(this, `auto-approve-label`, {
-      color: "8BF8BD",
-      name: "auto-approve",
-      repository: repository.name,
-      provider,
-    });
+    if (protectMain && files.length > 0 && protection !== "ruleset") {
+      throw new Error(
+        `Branch protection of main rejects the managed files ${files.map((file) => file.path).join(", ")}, it applies to admins too. Set protection.mode in fleet.json to "ruleset" and protection.deployActor to the identity deploying the stacks.`,
+      );
+    }
 
-    if (protectMain) {
+    if (protectMain && protection !== "ruleset") {
       new BranchProtection(this, "main-protection", {
         pattern: "main",
         repositoryId: repository.name,
@@ -98,29 +228,145 @@ export class RepositorySetup extends Construct {
       });
     }
 
-    new TeamRepository(this, "managing-team", {
-      repository: repository.name,
-      teamId: team.id,
-      permission: "admin",
-      provider,
+    if (protectMain && protection !== "branch-protection") {
+      const bypassActors: RepositoryRulesetBypassActors[] =
+        bypassAppId !== undefined
+          ? [
+              {
+                actorId: bypassAppId,
+                actorType: "Integration",
+                bypassMode: "pull_request",
+              },
+            ]
+          : [];
+
+      if (files.length > 0 && !deployActor) {
+        throw new Error(
+          `The main ruleset rejects the managed files ${files.map((file) => file.path).join(", ")}. Set protection.deployActor in fleet.json to the identity deploying the stacks.`,
+        );
+      }
+      const mainBypassActors: RepositoryRulesetBypassActors[] =
+        files.length > 0 && deployActor
+          ? [...bypassActors, { ...deployActor, bypassMode: "always" }]
+          : bypassActors;
+
+      new RepositoryRuleset(this, "main-ruleset", {
+        name: "main",
+        repository: repository.name,
+        target: "branch",
+        enforcement: "active",
+        conditions: {
+          refName: {
+            include: ["~DEFAULT_BRANCH"],
+            exclude: [],
+          },
+        },
+        bypassActors: mainBypassActors,
+        rules: {
+          deletion: true,
+          nonFastForward: true,
+          requiredLinearHistory: true,
+          pullRequest: {
+            requiredApprovingReviewCount: 1,
+            requireCodeOwnerReview: false, // NOTE: In the future, Security wants to enforce this, so be warned...
+            dismissStaleReviewsOnPush: false,
+            requiredReviewThreadResolution: true,
+          },
+          requiredStatusChecks: {
+            strictRequiredStatusChecksPolicy: false,
+            requiredCheck: protectMainChecks.map((context) => ({ context })),
+          },
+        },
+        provider,
+      });
+
+      // release tags are created by the release workflow and must never move
+      new RepositoryRuleset(this, "release-tags-ruleset", {
+        name: "release-tags",
+        repository: repository.name,
+        target: "tag",
+        enforcement: "active",
+        conditions: {
+          refName: {
+            include: [`refs/tags/${releaseTagPattern}`],
+            exclude: [],
+          },
+        },
+        bypassActors,
+        rules: {
+          update: true,
+          deletion: true,
+          nonFastForward: true,
+        },
+        provider,
+      });
+    }
+
+    teams.forEach((team) => {
+      new TeamRepository(this, teamRepositoryId(team.slug), {
+        repository: repository.name,
+        teamId: team.id,
+        permission: team.permission,
+        provider,
+      });
     });
 
-    // Slack integration so we can be notified about new PRs and Issues
-    new RepositoryWebhook(this, "slack-webhook", {
-      repository: repository.name,
+    webhooks.forEach((webhook) => {
+      new RepositoryWebhook(this, `${webhook.name}-webhook`, {
+        repository: repository.name,
 
-      configuration: {
-        url: webhookUrl,
-        contentType: "json",
-      },
+        configuration: {
+          url: webhook.url,
+          contentType: webhook.contentType,
+          secret: webhook.secret,
+        },
 
-      // We don't need to notify about PRs since they are auto-created
-      events: ["issues"],
-      provider,
+        events: webhook.events,
+        provider,
+      });
+    });
+
+    // construct ids can't contain slashes, e.g. .github/ISSUE_TEMPLATE
+    files.forEach((file) => {
+      new RepositoryFile(this, `${file.path.replace(/\//g, "--")}-file`, {
+        repository: repository.name,
+        branch: "main",
+        file: file.path,
+        content: file.content,
+        commitMessage: `chore: update ${file.path} managed by cdktn-repository-manager`,
+        overwriteOnCreate: true,
+        // archived repositories are read-only, keep the last content
+        lifecycle: archived ? { ignoreChanges: "all" } : undefined,
+        provider,
+      });
     });
   }
 }
 
+/**
+ * Attributes of a repository exported by the stack outputs, named like the
+ * Terraform attributes
+ */
+export interface RepositoryOutput {
+  name: string;
+  html_url: string;
+  ssh_clone_url: string;
+  http_clone_url: string;
+  node_id: string;
+}
+
+export function repositoryOutput(
+  repository: Repository | DataGithubRepository,
+): RepositoryOutput {
+  return {
+    name: repository.name,
+    html_url: repository.htmlUrl,
+    ssh_clone_url: repository.sshCloneUrl,
+    http_clone_url: repository.httpCloneUrl,
+    node_id: repository.nodeId,
+  };
+}
+
 export class GithubRepository extends Construct {
   public readonly resource: Repository;
   private readonly provider: GithubProvider;
@@ -139,6 +385,7 @@ export class GithubRepository extends Construct {
     const {
       topics = GithubRepository.defaultTopics,
       description = "Repository management for prebuilt cdktf providers via cdktf",
+      archived,
       provider,
     } = config;
     this.provider = provider;
@@ -149,7 +396,7 @@ export class GithubRepository extends Construct {
       archiveOnDestroy: true,
       visibility: "public",
       homepageUrl: "https://cdk.tf",
-      hasIssues: !name.endsWith("-go"),
+      hasIssues: true,
       hasWiki: false,
       autoInit: true,
       hasProjects: false,
@@ -158,7 +405,8 @@ export class GithubRepository extends Construct {
       allowUpdateBranch: true,
       squashMergeCommitMessage: "PR_BODY",
       squashMergeCommitTitle: "PR_TITLE",
-      vulnerabilityAlerts: !name.endsWith("-go"),
+      vulnerabilityAlerts: true,
+      archived,
       topics,
       provider,
     });
@@ -168,13 +416,11 @@ export class GithubRepository extends Construct {
       repository: this.resource,
     });
 
-    if (!name.endsWith("-go")) {
-      new RepositoryDependabotSecurityUpdates(this, "dependabot-security", {
-        provider,
-        repository: this.resource.name,
-        enabled: true,
-      });
-    }
+    new RepositoryDependabotSecurityUpdates(this, "dependabot-security", {
+      provider,
+      repository: this.resource.name,
+      enabled: true,
+    });
   }
 
   addSecret(name: string) {
@@ -205,12 +451,10 @@ export class GithubRepositoryFromExistingRepository extends Construct {
       repository: this.resource,
     });
 
-    if (!name.endsWith("-go")) {
-      new RepositoryDependabotSecurityUpdates(this, "dependabot-security", {
-        provider: config.provider,
-        repository: this.resource.name,
-        enabled: true,
-      });
-    }
+    new RepositoryDependabotSecurityUpdates(this, "dependabot-security", {
+      provider: config.provider,
+      repository: this.resource.name,
+      enabled: true,
+    });
   }
 }
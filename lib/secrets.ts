@@ -4,21 +4,158 @@
  */
 
 import { Construct } from "constructs";
-import { TerraformVariable } from "cdktf";
+import { TerraformVariable, Token } from "cdktf";
 import { constantCase } from "change-case";
 import { Repository } from "@cdktf/provider-github/lib/repository";
 import { DataGithubRepository } from "@cdktf/provider-github/lib/data-github-repository";
+import { DataGithubRepositories } from "@cdktf/provider-github/lib/data-github-repositories";
 import { GithubProvider } from "@cdktf/provider-github/lib/provider";
 import { ActionsSecret } from "@cdktf/provider-github/lib/actions-secret";
+import { ActionsOrganizationSecret } from "@cdktf/provider-github/lib/actions-organization-secret";
+import { ActionsEnvironmentSecret } from "@cdktf/provider-github/lib/actions-environment-secret";
+import { RepositoryEnvironment } from "@cdktf/provider-github/lib/repository-environment";
+import { RepositoryEnvironmentDeploymentPolicy } from "@cdktf/provider-github/lib/repository-environment-deployment-policy";
+import { Language } from "./provider-catalog";
+
+/**
+ * Where publishing secrets are stored. `both` is meant for migrating from
+ * repository to organization secrets: switch to `both`, deploy, switch to
+ * `organization`, remove the repository secrets with
+ * migrate-organization-secrets.js and deploy again right away.
+ * `environment` stores them in a protected environment of each repository,
+ * so only jobs running in that environment on an allowed branch can read
+ * them, including their aliases like GO_GITHUB_TOKEN.
+ */
+export type SecretScope =
+  | "repository"
+  | "organization"
+  | "both"
+  | "environment";
+
+export const secretScopes: SecretScope[] = [
+  "repository",
+  "organization",
+  "both",
+  "environment",
+];
+
+export interface ReleaseEnvironmentConfig {
+  /**
+   * @default "release"
+   */
+  name?: string;
+  /**
+   * Branch patterns allowed to deploy to the environment
+   *
+   * @default ["main"]
+   */
+  branches?: string[];
+}
+
+/**
+ * Collects the repositories using each organization secret across all
+ * stacks, so every secret is created once with all of its repositories
+ */
+export class OrganizationSecretSelection {
+  private readonly repositories = new Map<string, Set<string>>();
+
+  public add(secretName: string, repositoryName: string) {
+    this.repositories.set(
+      secretName,
+      (this.repositories.get(secretName) ?? new Set()).add(repositoryName),
+    );
+  }
+
+  public repositoriesFor(secretName: string): string[] {
+    return [...(this.repositories.get(secretName) ?? [])].sort();
+  }
+}
+
+export interface SecretScopeOptions {
+  /**
+   * @default "repository"
+   */
+  scope?: SecretScope;
+  /**
+   * Required for the `organization` and `both` scopes
+   */
+  selection?: OrganizationSecretSelection;
+  /**
+   * Only used with the `environment` scope
+   */
+  environment?: ReleaseEnvironmentConfig;
+}
+
+/**
+ * The environment holding the secrets of a repository, created once per
+ * repository and shared by all of its secrets
+ */
+function releaseEnvironment(
+  repository: Repository | DataGithubRepository,
+  ghProvider: GithubProvider,
+  config: ReleaseEnvironmentConfig = {},
+): RepositoryEnvironment {
+  const existing = repository.node.tryFindChild("release-environment");
+  if (existing) return existing as RepositoryEnvironment;
+
+  const { name = "release", branches = ["main"] } = config;
+  const environment = new RepositoryEnvironment(
+    repository,
+    "release-environment",
+    {
+      repository: repository.name,
+      environment: name,
+      deploymentBranchPolicy: {
+        protectedBranches: false,
+        customBranchPolicies: true,
+      },
+      provider: ghProvider,
+    },
+  );
+
+  branches.forEach((branch) => {
+    new RepositoryEnvironmentDeploymentPolicy(
+      repository,
+      `release-environment-branch-${branch}`,
+      {
+        repository: repository.name,
+        environment: environment.environment,
+        branchPattern: branch,
+        provider: ghProvider,
+      },
+    );
+  });
+
+  return environment;
+}
 
 export class SecretFromVariable extends Construct {
   public readonly name: string;
   public readonly variable: TerraformVariable;
   public secretNames: string[] = [];
+  private readonly scope: SecretScope;
+  private readonly selection?: OrganizationSecretSelection;
+  private readonly environment?: ReleaseEnvironmentConfig;
 
-  constructor(scope: Construct, name: string) {
+  constructor(
+    scope: Construct,
+    name: string,
+    options: SecretScopeOptions = {},
+  ) {
     super(scope, name);
 
+    this.scope = options.scope ?? "repository";
+    this.selection = options.selection;
+    this.environment = options.environment;
+    if (
+      (this.scope === "organization" || this.scope === "both") &&
+      !this.selection
+    ) {
+      throw new Error(
+        `Secret ${name} needs an OrganizationSecretSelection for the ${this.scope} scope`,
+      );
+    }
+
     this.variable = new TerraformVariable(this, name, {
       sensitive: true,
       type: "string",
@@ -33,10 +170,68 @@ export class SecretFromVariable extends Construct {
     this.secretNames.push(alias);
   }
 
+  /**
+   * Creates the secret in the repository or its release environment or, for
+   * organization secrets, selects the repository for it
+   *
+   * @returns undefined if only an organization secret is used
+   */
   public for(
     repository: Repository | DataGithubRepository,
     ghProvider: GithubProvider,
   ) {
+    if (
+      this.selection &&
+      (this.scope === "organization" || this.scope === "both")
+    ) {
+      // the organization secrets live in another stack, so they need the
+      // literal name instead of a reference
+      const repositoryName = repository.nameInput;
+      if (!repositoryName) {
+        throw new Error(
+          `Secret ${this.name} can only be selected for repositories with a literal name`,
+        );
+      }
+      this.selection.add(this.name, repositoryName);
+    }
+    if (this.scope === "organization") return undefined;
+
+    if (this.scope === "environment") {
+      const environment = releaseEnvironment(
+        repository,
+        ghProvider,
+        this.environment,
+      );
+      const secret = new ActionsEnvironmentSecret(
+        repository,
+        `environment-secret-${this.name}`,
+        {
+          plaintextValue: this.variable.value,
+          secretName: constantCase(this.name),
+          environment: environment.environment,
+          repository: repository.name,
+          provider: ghProvider,
+        },
+      );
+
+      // the aliases carry the same credentials, so they are just as protected
+      this.secretNames.forEach((name) => {
+        new ActionsEnvironmentSecret(
+          repository,
+          `environment-secret-${this.name}-alias-${name}`,
+          {
+            plaintextValue: this.variable.value,
+            secretName: constantCase(name),
+            environment: environment.environment,
+            repository: repository.name,
+            provider: ghProvider,
+          },
+        );
+      });
+
+      return secret;
+    }
+
     const secret = new ActionsSecret(repository, `secret-${this.name}`, {
       plaintextValue: this.variable.value,
       secretName: constantCase(this.name),
@@ -55,16 +250,54 @@ export class SecretFromVariable extends Construct {
 
     return secret;
   }
+
+  /**
+   * Creates the secret and its aliases as organization secrets visible to
+   * the given repositories
+   */
+  public forOrganization(repositoryIds: number[], ghProvider: GithubProvider) {
+    [this.name, ...this.secretNames].forEach((name) => {
+      new ActionsOrganizationSecret(
+        this,
+        name === this.name
+          ? `org-secret-${this.name}`
+          : `org-secret-${this.name}-alias-${name}`,
+        {
+          plaintextValue: this.variable.value,
+          secretName: constantCase(name),
+          visibility: "selected",
+          selectedRepositoryIds: repositoryIds,
+          provider: ghProvider,
+        },
+      );
+    });
+  }
 }
 
 export class PublishingSecretSet extends Construct {
+  // created on first use, so stacks only declare variables for the languages
+  // their repositories publish
+  private static readonly optionalSecrets = [
+    "nuget-api-key",
+    "maven-username", // Set up Maven Central and store credentials in BitWarden
+    "maven-password", // Use the user token password (same as above)
+    "maven-gpg-private-key",
+    "maven-gpg-private-key-passphrase",
+    "maven-staging-profile-id",
+  ];
+
   private readonly secrets: SecretFromVariable[] = [];
+  private readonly options: SecretScopeOptions;
   public readonly ghSecret: SecretFromVariable;
   public readonly npmSecret: SecretFromVariable;
   public readonly ghAppId: SecretFromVariable;
   public readonly ghAppPrivateKey: SecretFromVariable;
 
-  constructor(scope: Construct, name: string) {
+  constructor(
+    scope: Construct,
+    name: string,
+    options: SecretScopeOptions = {},
+  ) {
     super(scope, name);
 
     this.secrets = [
@@ -74,14 +307,8 @@ export class PublishingSecretSet extends Construct {
       "npm-token",
       "twine-username",
       "twine-password",
-      // TODO: Re-enable NuGet & Maven
-      // "nuget-api-key",
-      // "maven-username", // Set up Maven Central and store credentials in BitWarden
-      // "maven-password", // Use the user token password (same as above)
-      // "maven-gpg-private-key",
-      // "maven-gpg-private-key-passphrase",
-      // "maven-staging-profile-id",
-    ].map((name) => new SecretFromVariable(this, name));
+    ].map((name) => new SecretFromVariable(this, name, options));
+    this.options = options;
 
     const npmSecret = this.secrets.find((s) => s.name === "npm-token");
     if (!npmSecret) throw new Error("npm-token secret not found");
@@ -107,11 +334,83 @@ export class PublishingSecretSet extends Construct {
     this.ghAppPrivateKey = ghAppPrivateKey;
   }
 
-  public forAllLanguages(
+  /**
+   * Creates the organization secrets for all repositories selected by the
+   * stacks so far. Call this once, in a single stack, after all stacks are
+   * constructed.
+   */
+  public forOrganization(
+    selection: OrganizationSecretSelection,
+    ghProvider: GithubProvider,
+    owner: string,
+  ) {
+    // one search instead of a lookup per repository, so repositories that
+    // other stacks have not created yet are skipped instead of failing the
+    // plan. They are selected with the next deploy.
+    const repositories = new DataGithubRepositories(
+      this,
+      "organization-repositories",
+      {
+        query: `org:${owner} archived:false`,
+        includeRepoId: true,
+        provider: ghProvider,
+      },
+    );
+    const names = repositories.fqn + ".names";
+    const ids = repositories.fqn + ".repo_ids";
+
+    // optional secrets may only be used by repositories of other stacks
+    this.createOptionalSecrets(
+      (name) => selection.repositoriesFor(name).length > 0,
+    );
+
+    this.secrets.forEach((secret) => {
+      const selected = selection.repositoriesFor(secret.name);
+      if (selected.length === 0) return;
+      secret.forOrganization(
+        Token.asNumberList(
+          `\${[for name in ${JSON.stringify(selected)} : zipmap(${names}, ${ids})[name] if contains(${names}, name)]}`,
+        ),
+        ghProvider,
+      );
+    });
+  }
+
+  /**
+   * Adds the GitHub credentials and the secrets needed to publish the given
+   * languages
+   */
+  public forLanguages(
     repository: Repository | DataGithubRepository,
     ghProvider: GithubProvider,
+    languages: Language[],
   ) {
-    this.secrets.forEach((secret) => secret.for(repository, ghProvider));
+    this.forGitHub(repository, ghProvider);
+    languages.forEach((language) => {
+      switch (language) {
+        case "typescript":
+          return this.forTypescript(repository, ghProvider);
+        case "python":
+          return this.forPython(repository, ghProvider);
+        case "csharp":
+          return this.forCsharp(repository, ghProvider);
+        case "java":
+          return this.forJava(repository, ghProvider);
+        case "go":
+          return this.forGo(repository, ghProvider);
+      }
+    });
+  }
+
+  private createOptionalSecrets(filter: (name: string) => boolean) {
+    PublishingSecretSet.optionalSecrets
+      .filter(
+        (name) =>
+          filter(name) && !this.secrets.some((secret) => secret.name === name),
+      )
+      .forEach((name) =>
+        this.secrets.push(new SecretFromVariable(this, name, this.options)),
+      );
   }
 
   private forPrefixedSecrets(
@@ -119,6 +418,7 @@ export class PublishingSecretSet extends Construct {
     ghProvider: GithubProvider,
     prefix: string,
   ) {
+    this.createOptionalSecrets((name) => name.startsWith(prefix));
     this.secrets
       .filter((secret) => secret.name.startsWith(prefix))
       .forEach((secret) => secret.for(repository, ghProvider));
@@ -145,19 +445,19 @@ export class PublishingSecretSet extends Construct {
     this.forPrefixedSecrets(repository, ghProvider, "twine-");
   }
 
-  // public forCsharp(
-  //   repository: Repository | DataGithubRepository,
-  //   ghProvider: GithubProvider,
-  // ) {
-  //   this.forPrefixedSecrets(repository, ghProvider, "nuget-");
-  // }
+  public forCsharp(
+    repository: Repository | DataGithubRepository,
+    ghProvider: GithubProvider,
+  ) {
+    this.forPrefixedSecrets(repository, ghProvider, "nuget-");
+  }
 
-  // public forJava(
-  //   repository: Repository | DataGithubRepository,
-  //   ghProvider: GithubProvider,
-  // ) {
-  //   this.forPrefixedSecrets(repository, ghProvider, "maven-");
-  // }
+  public forJava(
+    repository: Repository | DataGithubRepository,
+    ghProvider: GithubProvider,
+  ) {
+    this.forPrefixedSecrets(repository, ghProvider, "maven-");
+  }
 
   public forGo(
     // eslint-disable-next-line @typescript-eslint/no-unused-vars
@@ -0,0 +1,159 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: MPL-2.0
+ */
+
+import { test } from "node:test";
+import * as assert from "node:assert";
+import { ManagedFilesConfig } from "./managed-files";
+import { ProviderCatalog, ProviderCatalogEntry } from "./provider-catalog";
+import {
+  estimateProviderResources,
+  planShards,
+  StackShards,
+} from "./shard-planner";
+
+const entry: ProviderCatalogEntry = {
+  terraformProvider: "hashicorp/aws@~> 6.0",
+};
+
+test("estimates the resources of an active provider", () => {
+  // provider repository: repo, dependabot, 3 labels, webhook, branch
+  // protection, team = 8
+  // go repository: repo, README, 2 rulesets, 3 labels, webhook, team = 9
+  // secrets: 7 GitHub credentials, npm, 2 twine, Slack webhook = 11
+  assert.strictEqual(estimateProviderResources(entry), 28);
+});
+
+test("counts the rulesets of the protection mode", () => {
+  assert.strictEqual(
+    estimateProviderResources(entry, { protection: "ruleset" }),
+    29,
+  );
+  assert.strictEqual(
+    estimateProviderResources({ ...entry, protection: "both" }, {}),
+    30,
+  );
+});
+
+test("counts the secrets of the languages and the secret scope", () => {
+  // no go repository, Maven needs 5 secrets
+  assert.strictEqual(
+    estimateProviderResources({ ...entry, languages: ["typescript", "java"] }),
+    22,
+  );
+  // the release environment and its main deployment branch policy
+  assert.strictEqual(
+    estimateProviderResources(entry, { secrets: { scope: "environment" } }),
+    30,
+  );
+  // only the Slack webhook stays a repository secret
+  assert.strictEqual(
+    estimateProviderResources(entry, { secrets: { scope: "organization" } }),
+    18,
+  );
+});
+
+test("counts provider teams and managed files", () => {
+  assert.strictEqual(
+    estimateProviderResources(
+      { ...entry, teams: { "aws-maintainers": "maintain" } },
+      {
+        files: {
+          "SECURITY.md": { template: "SECURITY.md", categories: ["provider"] },
+          "README.md": { template: "README.md", categories: ["construct"] },
+        },
+      },
+    ),
+    // a team for both repositories and a file in the provider repository
+    31,
+  );
+});
+
+test("keeps labels, teams and files of deprecated providers", () => {
+  const files: ManagedFilesConfig = {
+    "SECURITY.md": { template: "SECURITY.md", categories: ["provider"] },
+  };
+  // provider repository: repo, dependabot, 3 labels, team, file = 7
+  // go repository: repo, README, 3 labels, team = 6
+  assert.strictEqual(
+    estimateProviderResources({ ...entry, status: "deprecated" }, { files }),
+    13,
+  );
+  assert.strictEqual(
+    estimateProviderResources({ ...entry, status: "archived" }, { files }),
+    13,
+  );
+});
+
+const catalog: ProviderCatalog = Object.fromEntries(
+  ["p1", "p2", "p3"].map((provider) => [provider, entry]),
+);
+
+const shards = (
+  a: string[],
+  b: string[],
+  budgets: { a?: number; b?: number } = {},
+): StackShards => ({
+  primaryStack: "a",
+  resourceBudget: 100,
+  stacks: {
+    a: {
+      backend: { workspaceName: "a" },
+      resourceBudget: budgets.a,
+      providers: a,
+    },
+    b: {
+      backend: { workspaceName: "b" },
+      resourceBudget: budgets.b,
+      providers: b,
+    },
+  },
+});
+
+test("places new providers in the least loaded shard", () => {
+  const plan = planShards({ p1: entry, p2: entry }, shards(["p1"], []));
+
+  assert.deepStrictEqual(plan.moves, [
+    { provider: "p2", from: undefined, to: "b", resources: 28 },
+  ]);
+  // the primary stack also holds the repository manager repositories
+  assert.deepStrictEqual(plan.load, { a: 52, b: 28 });
+  assert.deepStrictEqual(plan.budget, { a: 100, b: 100 });
+  assert.deepStrictEqual(plan.errors, []);
+});
+
+test("reports providers no shard has room for", () => {
+  const plan = planShards(
+    { p1: entry, p2: entry },
+    shards(["p1"], [], { a: 60, b: 20 }),
+  );
+
+  assert.deepStrictEqual(plan.moves, []);
+  assert.deepStrictEqual(plan.errors, [
+    "No shard has room for p2 (28 resources). Add a new stack to sharded-stacks.json or raise the resourceBudget.",
+  ]);
+});
+
+test("only moves existing providers when rebalancing", () => {
+  const full = shards(["p1", "p2", "p3"], []);
+
+  const plan = planShards(catalog, full);
+  assert.deepStrictEqual(plan.moves, []);
+  assert.deepStrictEqual(plan.errors, [
+    "Stack a is over its budget with 108 of 100 resources. Run with --rebalance to move providers to other shards.",
+  ]);
+
+  const rebalanced = planShards(catalog, full, { rebalance: true });
+  assert.deepStrictEqual(
+    rebalanced.moves.map(({ provider, from, to }) => [provider, from, to]),
+    [
+      ["p1", "a", "b"],
+      ["p2", "a", "b"],
+    ],
+  );
+  assert.deepStrictEqual(rebalanced.load, { a: 52, b: 56 });
+  assert.deepStrictEqual(rebalanced.errors, []);
+  // the given shards are not modified
+  assert.deepStrictEqual(full.stacks.a.providers, ["p1", "p2", "p3"]);
+});
@@ -0,0 +1,409 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: MPL-2.0
+ */
+
+import {
+  defaultProviderLanguages,
+  Language,
+  ProviderCatalog,
+  ProviderCatalogEntry,
+} from "./provider-catalog";
+import { ProtectionMode, RepositorySetup } from "./repository";
+import { SecretsConfig } from "./fleet-config";
+import { LabelCatalog, labelsFor, RepositoryCategory } from "./labels";
+import { BackendConfig } from "./backend";
+import { TeamAccess, teamAccessFor } from "./teams";
+import { managedFileCount, ManagedFilesConfig } from "./managed-files";
+import {
+  defaultWebhookDestinations,
+  WebhookConfig,
+  webhookDestinationsFor,
+} from "./webhooks";
+
+export type StackShards = {
+  primaryStack: string;
+  /**
+   * Default maximum number of Terraform resources per workspace
+   */
+  resourceBudget?: number;
+  /**
+   * State backend of the custom-constructs stack
+   *
+   * @default the custom-constructs Terraform Cloud workspace
+   */
+  constructsBackend?: BackendConfig;
+  stacks: {
+    [name: string]: {
+      backend: BackendConfig;
+      /**
+       * Overrides the top-level resourceBudget for this workspace
+       */
+      resourceBudget?: number;
+      providers: string[];
+    };
+  };
+};
+
+export const defaultResourceBudget = 400;
+
+/**
+ * Resources created by the primary stack on top of its providers:
+ * the cdktn-repository-manager and cdktn-provider-project repositories,
+ * counting the default labels, the Slack webhook and repository secrets
+ */
+export const primaryStackResources = 24;
+
+/**
+ * The GitHub credentials and their aliases every repository needs
+ */
+const githubSecrets = 7;
+
+/**
+ * Publishing secrets per language, see PublishingSecretSet
+ */
+const languageSecrets: Record<Language, number> = {
+  typescript: 1,
+  python: 2,
+  csharp: 1,
+  java: 5,
+  go: 0,
+};
+
+function publishingSecrets(languages: Language[]): number {
+  return languages.reduce(
+    (sum, language) => sum + languageSecrets[language],
+    githubSecrets,
+  );
+}
+
+/**
+ * Publishing secrets of the cdktn-provider-project repository
+ */
+const templateRepositorySecrets = 5;
+
+type EstimateOptions = Pick<
+  ShardPlanOptions,
+  | "protection"
+  | "labels"
+  | "webhooks"
+  | "secrets"
+  | "providerLanguages"
+  | "teams"
+  | "files"
+>;
+
+function providerLanguages(
+  entry: ProviderCatalogEntry,
+  options: EstimateOptions,
+): Language[] {
+  return (
+    entry.languages ?? options.providerLanguages ?? defaultProviderLanguages
+  );
+}
+
+/**
+ * The release environment and its deployment branch policies, created for
+ * every repository with publishing secrets in the `environment` scope
+ */
+function environmentResources(options: EstimateOptions): number {
+  return options.secrets?.scope === "environment"
+    ? 1 + (options.secrets.environment?.branches ?? ["main"]).length
+    : 0;
+}
+
+/**
+ * Labels RepositorySetup creates for a repository category
+ */
+function labelResources(
+  category: RepositoryCategory,
+  options: EstimateOptions,
+): number {
+  return options.labels
+    ? labelsFor(options.labels, category).length
+    : RepositorySetup.defaultLabels.length;
+}
+
+/**
+ * Labels and webhooks RepositorySetup creates for a repository category
+ */
+function setupResources(
+  category: RepositoryCategory,
+  options: EstimateOptions,
+): number {
+  const labels = labelResources(category, options);
+  const webhooks = webhookDestinationsFor(
+    options.webhooks ?? defaultWebhookDestinations,
+    category,
+  ).length;
+  return labels + webhooks;
+}
+
+/**
+ * Estimates the number of Terraform resources CdkTerrainProviderStack creates
+ * for a single provider. Keep this in sync with the stack when adding
+ * resources to provider repositories.
+ */
+export function estimateProviderResources(
+  entry: ProviderCatalogEntry,
+  options: EstimateOptions = {},
+): number {
+  const languages = providerLanguages(entry, options);
+  const teams = Object.keys(teamAccessFor(options.teams, entry.teams)).length;
+  if (entry.status === "deprecated" || entry.status === "archived") {
+    // repo, labels, teams, dependabot and managed files plus the go repo,
+    // its labels, teams and README
+    return (
+      2 +
+      labelResources("provider", options) +
+      teams +
+      managedFileCount(options.files ?? {}, "provider") +
+      (languages.includes("go") ? 2 + labelResources("go", options) + teams : 0)
+    );
+  }
+
+  // branch protection and/or the main and release tag rulesets
+  const protection = {
+    "branch-protection": 1,
+    ruleset: 2,
+    both: 3,
+  }[entry.protection ?? options.protection ?? "branch-protection"];
+  // repo, labels, webhooks, protection, teams, dependabot, managed files
+  const repository =
+    2 +
+    setupResources("provider", options) +
+    protection +
+    teams +
+    managedFileCount(options.files ?? {}, "provider");
+  // repo, labels, webhooks, teams, README, publishing and release tag rulesets
+  const goRepository = languages.includes("go")
+    ? 4 + setupResources("go", options) + teams
+    : 0;
+  // publishing secrets unless they are organization secrets and the
+  // alert-prs-slack-webhook-url
+  const secrets =
+    (options.secrets?.scope === "organization"
+      ? 0
+      : publishingSecrets(languages)) +
+    environmentResources(options) +
+    1;
+
+  return repository + goRepository + secrets;
+}
+
+export interface ShardMove {
+  provider: string;
+  /**
+   * undefined for providers that were not assigned to a shard before
+   */
+  from?: string;
+  to: string;
+  resources: number;
+}
+
+export interface ShardPlan {
+  shards: StackShards;
+  moves: ShardMove[];
+  /**
+   * Estimated resources per stack after applying the moves
+   */
+  load: Record<string, number>;
+  budget: Record<string, number>;
+  errors: string[];
+}
+
+export interface ShardPlanOptions {
+  /**
+   * Overrides the top-level resourceBudget of sharded-stacks.json
+   */
+  resourceBudget?: number;
+  /**
+   * Move already assigned providers to even out the load across shards.
+   * Without this existing providers never move.
+   */
+  rebalance?: boolean;
+  /**
+   * Fleet-wide protection mode from fleet.json
+   */
+  protection?: ProtectionMode;
+  /**
+   * Contents of labels.json, defaults to RepositorySetup.defaultLabels
+   */
+  labels?: LabelCatalog;
+  /**
+   * Webhook destinations from fleet.json
+   */
+  webhooks?: WebhookConfig;
+  /**
+   * Secrets settings from fleet.json
+   */
+  secrets?: SecretsConfig;
+  /**
+   * Fleet default languages from fleet.json
+   */
+  providerLanguages?: Language[];
+  /**
+   * Fleet-wide teams from fleet.json
+   */
+  teams?: TeamAccess;
+  /**
+   * Managed files from fleet.json
+   */
+  files?: ManagedFilesConfig;
+}
+
+/**
+ * Assigns providers that are missing in sharded-stacks.json to the least
+ * loaded shard with room left and optionally rebalances existing providers.
+ * The given shards are not modified.
+ */
+export function planShards(
+  catalog: ProviderCatalog,
+  shards: StackShards,
+  options: ShardPlanOptions = {},
+): ShardPlan {
+  const stacks: StackShards["stacks"] = Object.fromEntries(
+    Object.entries(shards.stacks).map(([name, stack]) => [
+      name,
+      { ...stack, providers: [...stack.providers] },
+    ]),
+  );
+  const errors: string[] = [];
+  const moves: ShardMove[] = [];
+
+  const estimate = (provider: string) =>
+    catalog[provider]
+      ? estimateProviderResources(catalog[provider], options)
+      : 0;
+
+  // labels, webhooks, teams and managed files of the repository manager and
+  // template repository beyond the defaults counted in primaryStackResources,
+  // the organization secrets live in the primary stack as well
+  const secretScope = options.secrets?.scope ?? "repository";
+  const primaryResources =
+    primaryStackResources +
+    setupResources("self", options) +
+    setupResources("provider", options) -
+    2 * setupResources("provider", {}) +
+    2 * (Object.keys(teamAccessFor(options.teams)).length - 1) +
+    managedFileCount(options.files ?? {}, "self") +
+    (secretScope === "organization" || secretScope === "both"
+      ? publishingSecrets([
+          ...new Set(
+            Object.values(catalog).flatMap((entry) =>
+              providerLanguages(entry, options),
+            ),
+          ),
+        ])
+      : 0) -
+    (secretScope === "organization" ? templateRepositorySecrets : 0) +
+    environmentResources(options);
+
+  const budget = Object.fromEntries(
+    Object.entries(stacks).map(([name, stack]) => [
+      name,
+      stack.resourceBudget ??
+        options.resourceBudget ??
+        shards.resourceBudget ??
+        defaultResourceBudget,
+    ]),
+  );
+
+  const loadOf = (name: string) =>
+    (name === shards.primaryStack ? primaryResources : 0) +
+    stacks[name].providers.reduce((sum, p) => sum + estimate(p), 0);
+
+  const move = (provider: string, to: string, from?: string) => {
+    if (from) {
+      stacks[from].providers = stacks[from].providers.filter(
+        (p) => p !== provider,
+      );
+    }
+    stacks[to].providers.push(provider);
+    moves.push({ provider, from, to, resources: estimate(provider) });
+  };
+
+  // place new providers, biggest first so they still find a shard with room
+  const assigned = new Set(
+    Object.values(stacks).flatMap((stack) => stack.providers),
+  );
+  const unassigned = Object.keys(catalog)
+    .filter((provider) => !assigned.has(provider))
+    .sort((a, b) => estimate(b) - estimate(a) || a.localeCompare(b));
+
+  unassigned.forEach((provider) => {
+    const candidates = Object.keys(stacks)
+      .filter((name) => loadOf(name) + estimate(provider) <= budget[name])
+      .sort((a, b) => loadOf(a) - loadOf(b) || a.localeCompare(b));
+
+    if (candidates.length === 0) {
+      errors.push(
+        `No shard has room for ${provider} (${estimate(provider)} resources). Add a new stack to sharded-stacks.json or raise the resourceBudget.`,
+      );
+      return;
+    }
+
+    move(provider, candidates[0]);
+  });
+
+  if (options.rebalance) {
+    // Repeatedly move the provider from the fullest to the emptiest shard
+    // that brings both closest together, until no move improves the spread.
+    // This keeps the number of moved providers (and state moves) minimal.
+    for (;;) {
+      const byLoad = Object.keys(stacks).sort(
+        (a, b) =>
+          loadOf(a) / budget[a] - loadOf(b) / budget[b] || a.localeCompare(b),
+      );
+      const emptiest = byLoad[0];
+      const fullest = byLoad[byLoad.length - 1];
+      if (emptiest === fullest) break;
+
+      const spread = loadOf(fullest) - loadOf(emptiest);
+      const candidate = stacks[fullest].providers
+        .filter(
+          (p) =>
+            estimate(p) > 0 &&
+            estimate(p) < spread &&
+            loadOf(emptiest) + estimate(p) <= budget[emptiest],
+        )
+        .sort(
+          (a, b) =>
+            Math.abs(spread - 2 * estimate(a)) -
+              Math.abs(spread - 2 * estimate(b)) || a.localeCompare(b),
+        )[0];
+      if (!candidate) break;
+
+      const previous = moves.find((m) => m.provider === candidate);
+      if (previous) {
+        // a new provider that is placed again, report a single placement
+        moves.splice(moves.indexOf(previous), 1);
+        move(candidate, emptiest, fullest);
+        moves[moves.length - 1].from = previous.from;
+      } else {
+        move(candidate, emptiest, fullest);
+      }
+    }
+  }
+
+  const load = Object.fromEntries(
+    Object.keys(stacks).map((name) => [name, loadOf(name)]),
+  );
+  Object.entries(load)
+    .filter(([name, resources]) => resources > budget[name])
+    .forEach(([name, resources]) =>
+      errors.push(
+        `Stack ${name} is over its budget with ${resources} of ${budget[name]} resources.${options.rebalance ? "" : " Run with --rebalance to move providers to other shards."}`,
+      ),
+    );
+
+  Object.values(stacks).forEach((stack) => stack.providers.sort());
+
+  return {
+    shards: { ...shards, stacks },
+    moves: moves.filter((m) => m.from !== m.to),
+    load,
+    budget,
+    errors,
+  };
+}
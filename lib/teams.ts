@@ -0,0 +1,127 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: MPL-2.0
+ */
+
+import { Construct } from "constructs";
+import { GithubProvider } from "@cdktf/provider-github/lib/provider";
+import { DataGithubTeam } from "@cdktf/provider-github/lib/data-github-team";
+
+export type TeamPermission = "admin" | "maintain" | "triage";
+
+export const teamPermissions: TeamPermission[] = [
+  "admin",
+  "maintain",
+  "triage",
+];
+
+/**
+ * Permission by team slug, e.g. `{ "team-cdk-terrain": "admin" }`
+ */
+export type TeamAccess = Record<string, TeamPermission>;
+
+export const defaultTeamAccess: TeamAccess = {
+  "team-cdk-terrain": "admin",
+};
+
+/**
+ * The only team before teams were configurable. Its team repositories keep
+ * the construct id `managing-team`, so they keep their state.
+ */
+export const legacyManagingTeam = "team-cdk-terrain";
+
+/**
+ * A team as granted access by RepositorySetup
+ */
+export interface RepositoryTeam {
+  slug: string;
+  id: string;
+  permission: TeamPermission;
+}
+
+const teamSlugRegex = /^[a-z0-9][a-z0-9_-]*$/;
+
+/**
+ * Merges per-repository overrides, e.g. from provider.json, into the fleet
+ * default. Overrides can add teams or change their permission.
+ */
+export function teamAccessFor(
+  fleet: TeamAccess | undefined,
+  overrides: TeamAccess = {},
+): TeamAccess {
+  return { ...(fleet ?? defaultTeamAccess), ...overrides };
+}
+
+/**
+ * @returns the construct id of the team repository granting a team access
+ */
+export function teamRepositoryId(slug: string): string {
+  return slug === legacyManagingTeam ? "managing-team" : `${slug}-team`;
+}
+
+/**
+ * Validates a team/permission map. Whether the teams exist is only known at
+ * plan time, when looking them up with DataGithubTeam fails.
+ *
+ * @param prefix where the map is configured, used in the errors
+ * @returns a list of human readable errors, empty if the map is valid
+ */
+export function validateTeamAccess(
+  access: TeamAccess,
+  prefix: string,
+): string[] {
+  if (!access || typeof access !== "object" || Array.isArray(access)) {
+    return [`${prefix} must map team slugs to permissions`];
+  }
+
+  const errors: string[] = [];
+  Object.entries(access).forEach(([slug, permission]) => {
+    if (!teamSlugRegex.test(slug)) {
+      errors.push(
+        `${prefix} has an invalid team slug ${JSON.stringify(slug)}. Use the slug from the team URL, e.g. team-cdk-terrain`,
+      );
+    }
+    if (!teamPermissions.includes(permission)) {
+      errors.push(
+        `${prefix} grants ${slug} unknown permission ${JSON.stringify(permission)}. Supported permissions are ${teamPermissions.join(", ")}`,
+      );
+    }
+  });
+  return errors;
+}
+
+/**
+ * Looks up the teams of a stack. Each team is only looked up once, when the
+ * first repository needs it.
+ */
+export class Teams extends Construct {
+  private readonly teams = new Map<string, DataGithubTeam>();
+
+  constructor(
+    scope: Construct,
+    name: string,
+    private readonly provider: GithubProvider,
+  ) {
+    super(scope, name);
+  }
+
+  for(access: TeamAccess): RepositoryTeam[] {
+    return Object.entries(access).map(([slug, permission]) => ({
+      slug,
+      id: this.lookup(slug).id,
+      permission,
+    }));
+  }
+
+  lookup(slug: string): DataGithubTeam {
+    let team = this.teams.get(slug);
+    if (!team) {
+      team = new DataGithubTeam(this, slug, {
+        slug,
+        provider: this.provider,
+      });
+      this.teams.set(slug, team);
+    }
+    return team;
+  }
+}
@@ -0,0 +1,25 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: MPL-2.0
+ */
+
+/**
+ * Helpers shared by the validators of the JSON configuration files
+ */
+
+export function isStringArray(value: unknown): value is string[] {
+  return (
+    Array.isArray(value) && value.every((item) => typeof item === "string")
+  );
+}
+
+/**
+ * @returns every value that occurs more than once, each listed once
+ */
+export function findDuplicates(values: string[]): string[] {
+  return [
+    ...new Set(
+      values.filter((value, index) => values.indexOf(value) !== index),
+    ),
+  ];
+}
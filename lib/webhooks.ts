@@ -0,0 +1,190 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: MPL-2.0
+ */
+
+import { Construct } from "constructs";
+import { TerraformVariable } from "cdktf";
+import { RepositoryCategory, repositoryCategories } from "./labels";
+
+export type WebhookContentType = "json" | "form";
+
+export interface WebhookDestination {
+  /**
+   * Terraform variable holding the URL to post to
+   */
+  urlVariable: string;
+  /**
+   * Terraform variable holding the secret GitHub signs the payloads with
+   */
+  secretVariable?: string;
+  /**
+   * GitHub webhook events, e.g. `issues`, `check_suite` or `release`
+   */
+  events: string[];
+  /**
+   * @default "json"
+   */
+  contentType?: WebhookContentType;
+  /**
+   * Repository categories the destination is added to
+   *
+   * @default all categories
+   */
+  categories?: RepositoryCategory[];
+}
+
+/**
+ * Webhook destinations keyed by a name that is part of the construct id,
+ * so renaming a destination replaces its webhooks
+ */
+export type WebhookConfig = Record<string, WebhookDestination>;
+
+/**
+ * Slack integration so we can be notified about new Issues. We don't need to
+ * notify about PRs since they are auto-created.
+ */
+export const defaultWebhookDestinations: WebhookConfig = {
+  slack: {
+    urlVariable: "slack-webhook",
+    events: ["issues"],
+  },
+};
+
+/**
+ * A webhook as created by RepositorySetup
+ */
+export interface RepositoryWebhookTarget {
+  name: string;
+  url: string;
+  secret?: string;
+  events: string[];
+  contentType: WebhookContentType;
+}
+
+const contentTypes: WebhookContentType[] = ["json", "form"];
+const nameRegex = /^[a-z0-9][a-z0-9-]*$/;
+const variableRegex = /^[a-zA-Z_][a-zA-Z0-9_-]*$/;
+const eventRegex = /^([a-z_]+|\*)$/;
+
+/**
+ * Validates the webhooks section of fleet.json
+ *
+ * @returns a list of human readable errors, empty if the config is valid
+ */
+export function validateWebhookConfig(config: WebhookConfig): string[] {
+  const errors: string[] = [];
+
+  Object.entries(config).forEach(([name, destination]) => {
+    const prefix = `fleet.json: webhook destination "${name}"`;
+
+    if (!nameRegex.test(name)) {
+      errors.push(
+        `${prefix} must be named in lowercase letters, numbers and hyphens`,
+      );
+    }
+    if (
+      typeof destination.urlVariable !== "string" ||
+      !variableRegex.test(destination.urlVariable)
+    ) {
+      errors.push(
+        `${prefix} needs a "urlVariable" naming a Terraform variable`,
+      );
+    }
+    if (
+      destination.secretVariable !== undefined &&
+      (typeof destination.secretVariable !== "string" ||
+        !variableRegex.test(destination.secretVariable))
+    ) {
+      errors.push(`${prefix} "secretVariable" must name a Terraform variable`);
+    }
+    if (
+      !Array.isArray(destination.events) ||
+      destination.events.length === 0 ||
+      !destination.events.every(
+        (event) => typeof event === "string" && eventRegex.test(event),
+      )
+    ) {
+      errors.push(
+        `${prefix} needs a non-empty list of "events" like issues or check_suite`,
+      );
+    }
+    if (
+      destination.contentType !== undefined &&
+      !contentTypes.includes(destination.contentType)
+    ) {
+      errors.push(
+        `${prefix} has unknown content type ${JSON.stringify(destination.contentType)}. Supported content types are ${contentTypes.join(", ")}`,
+      );
+    }
+    if (destination.categories !== undefined) {
+      const unknownCategories = Array.isArray(destination.categories)
+        ? destination.categories.filter(
+            (category) => !repositoryCategories.includes(category),
+          )
+        : [String(destination.categories)];
+      if (unknownCategories.length > 0) {
+        errors.push(
+          `${prefix} has unknown categories ${unknownCategories.join(", ")}. Supported categories are ${repositoryCategories.join(", ")}`,
+        );
+      }
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * @returns the names of the destinations added to repositories of the category
+ */
+export function webhookDestinationsFor(
+  config: WebhookConfig,
+  category: RepositoryCategory,
+): string[] {
+  return Object.keys(config).filter((name) =>
+    (config[name].categories ?? repositoryCategories).includes(category),
+  );
+}
+
+/**
+ * Resolves the webhook destinations of fleet.json for the repositories of a
+ * stack. The Terraform variables for URLs and secrets are only created once
+ * a repository uses them, so stacks don't ask for values they never use.
+ */
+export class WebhookDestinations extends Construct {
+  private readonly variables: Record<string, TerraformVariable> = {};
+
+  constructor(
+    scope: Construct,
+    name: string,
+    private readonly config: WebhookConfig = defaultWebhookDestinations,
+  ) {
+    super(scope, name);
+  }
+
+  for(category: RepositoryCategory): RepositoryWebhookTarget[] {
+    return webhookDestinationsFor(this.config, category).map((name) => {
+      const destination = this.config[name];
+      return {
+        name,
+        url: this.variable(destination.urlVariable, false).stringValue,
+        secret: destination.secretVariable
+          ? this.variable(destination.secretVariable, true).stringValue
+          : undefined,
+        events: destination.events,
+        contentType: destination.contentType ?? "json",
+      };
+    });
+  }
+
+  private variable(name: string, sensitive: boolean): TerraformVariable {
+    if (!this.variables[name]) {
+      this.variables[name] = new TerraformVariable(this, name, {
+        type: "string",
+        sensitive: sensitive || undefined,
+      });
+      this.variables[name].overrideLogicalId(name);
+    }
+    return this.variables[name];
+  }
+}
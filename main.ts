@@ -8,55 +8,103 @@ import {
   App,
   TerraformStack,
   TerraformOutput,
-  RemoteBackend,
   Annotations,
   Aspects,
-  MigrateIds,
 } from "cdktf";
 import {
   GithubRepository,
   GithubRepositoryFromExistingRepository,
+  GoRepository,
   SecretFromVariable,
   PublishingSecretSet,
+  ProviderCatalog,
+  validateProviderCatalog,
+  ConstructCatalog,
+  validateConstructCatalog,
+  StackShards,
+  FleetConfig,
+  validateFleetConfig,
+  RepositoryGovernance,
+  LabelCatalog,
+  labelsFor,
+  validateLabelCatalog,
+  findReferencedLabels,
+  validateReferencedLabels,
+  WebhookDestinations,
+  OrganizationSecretSelection,
+  defaultProviderLanguages,
+  packageCheckFor,
+  archivedRepositoryConfig,
+  deprecatedRepositoryConfig,
+  configureBackend,
+  defaultConstructsBackend,
+  validateStackBackends,
+  Teams,
+  teamAccessFor,
+  CodeOwners,
+  RepositoryOutput,
+  repositoryOutput,
+  managedFilesFor,
+  providerTemplateVariables,
+  repositoryTemplateVariables,
+  ResourceMove,
+  ResourceMoves,
+  validateResourceMoves,
 } from "./lib";
 import * as fs from "fs";
 import * as path from "path";
-import { TerraformVariable } from "cdktf";
 import { GithubProvider } from "@cdktf/provider-github/lib/provider";
-import { DataGithubTeam } from "@cdktf/provider-github/lib/data-github-team";
-
-type StackShards = {
-  primaryStack: string;
-  stacks: {
-    [name: string]: {
-      backend: {
-        workspaceName: string;
-      };
-      providers: string[];
-    };
-  };
-};
 
-const allProviders: Record<string, string> = JSON.parse(
+const allProviders: ProviderCatalog = JSON.parse(
   fs.readFileSync(path.join(__dirname, "provider.json"), "utf8"),
 );
 
+const constructRepos: ConstructCatalog = JSON.parse(
+  fs.readFileSync(path.join(__dirname, "constructs.json"), "utf8"),
+);
+
+const fleetConfig: FleetConfig = JSON.parse(
+  fs.readFileSync(path.join(__dirname, "fleet.json"), "utf8"),
+);
+
+const labelCatalog: LabelCatalog = JSON.parse(
+  fs.readFileSync(path.join(__dirname, "labels.json"), "utf8"),
+);
+
 const shardedStacks: StackShards = JSON.parse(
   fs.readFileSync(path.join(__dirname, "sharded-stacks.json"), "utf8"),
 );
 
-interface GitUrls {
-  html: string;
-  ssh: string;
+// written by `yarn moved --write`
+const resourceMoves: ResourceMove[] = JSON.parse(
+  fs.readFileSync(path.join(__dirname, "moved.json"), "utf8"),
+);
+
+const templatesDir = path.join(__dirname, "templates");
+const managedFiles = fleetConfig.files ?? {};
+
+const constructsBackend =
+  shardedStacks.constructsBackend ?? defaultConstructsBackend;
+
+const secretScope = fleetConfig.secrets?.scope ?? "repository";
+const organizationSecrets = new OrganizationSecretSelection();
+
+/**
+ * Stack output of a provider or construct, keyed by its name. `go` is only
+ * set if it publishes Go bindings, cdktf can't output null.
+ */
+interface RepositoryOutputs {
+  repository: RepositoryOutput;
+  go?: RepositoryOutput;
 }
 
 /**
  * Get list of providers that need to be generated for a stack with name
  *
  * @param name name of stack as defined in sharded-stacks.json
- * @returns Object containing provider name to terraform provider version
+ * @returns Object containing provider name to its provider.json catalog entry
  */
-function getShardedStackProviders(name: string): Record<string, string> {
+function getShardedStackProviders(name: string): ProviderCatalog {
   const stackShardInformation = shardedStacks.stacks[name];
   const stackProvidersList = stackShardInformation.providers;
 
@@ -68,6 +116,9 @@ function getShardedStackProviders(name: string): Record<string, string> {
 }
 
 class CdkTerrainProviderStack extends TerraformStack {
+  public readonly secrets: PublishingSecretSet;
+  public readonly githubProvider: GithubProvider;
+
   constructor(scope: Construct, name: string, isPrimaryStack: boolean) {
     super(scope, name);
 
@@ -78,106 +129,163 @@ class CdkTerrainProviderStack extends TerraformStack {
       owner: "cdktn-io",
       alias: "cdktn",
     });
+    this.githubProvider = githubProvider;
 
-    const githubTeam = new DataGithubTeam(this, "cdktn-team-cdk-terrain", {
-      slug: "team-cdk-terrain",
-      provider: githubProvider,
-    });
+    const teams = new Teams(this, "teams", githubProvider);
+    const codeOwners = new CodeOwners(
+      this,
+      "code-owners",
+      teams,
+      githubProvider,
+    );
 
-    // TODO: Set up remote backend (S3?)
-    new RemoteBackend(this, {
-      organization: "cdk-terrain",
-      workspaces: {
-        name: shardedStacks.stacks[name].backend.workspaceName,
-      },
-    });
+    configureBackend(this, name, shardedStacks.stacks[name].backend);
 
-    const slackWebhook = new TerraformVariable(this, "slack-webhook", {
-      type: "string",
-    });
-    slackWebhook.overrideLogicalId("slack-webhook");
+    const webhooks = new WebhookDestinations(
+      this,
+      "webhooks",
+      fleetConfig.webhooks,
+    );
 
-    const secrets = new PublishingSecretSet(this, "secret-set");
+    const secrets = new PublishingSecretSet(this, "secret-set", {
+      scope: secretScope,
+      selection: organizationSecrets,
+      environment: fleetConfig.secrets?.environment,
+    });
+    this.secrets = secrets;
 
     if (isPrimaryStack) {
-      this.createRepositoryManagerRepo(
-        slackWebhook,
-        githubProvider,
-        githubTeam,
-      );
+      this.createRepositoryManagerRepo(webhooks, githubProvider, teams);
       this.createProviderProjectRepo(
-        slackWebhook,
+        webhooks,
         secrets.npmSecret,
         secrets.ghAppId,
         secrets.ghAppPrivateKey,
         githubProvider,
-        githubTeam,
+        teams,
       );
     }
 
-    const providerRepos: GitUrls[] = Object.keys(providers).map((provider) => {
+    const providerRepos = Object.keys(providers).map((provider) => {
+      const entry = providers[provider];
+      const languages =
+        entry.languages ??
+        fleetConfig.providerLanguages ??
+        defaultProviderLanguages;
+      // deprecated and archived providers stay in the stack, so their
+      // repositories are never destroyed
+      const archived = entry.status === "archived";
+      const deprecated = archived || entry.status === "deprecated";
+      const sunsetConfig = archived
+        ? archivedRepositoryConfig
+        : deprecated
+          ? deprecatedRepositoryConfig
+          : {};
+      const topics = [
+        ...GithubRepository.defaultTopics,
+        provider,
+        ...(entry.topics ?? []),
+        ...(deprecated ? ["deprecated"] : []),
+      ];
+      const repositoryTeams = teams.for(
+        teamAccessFor(fleetConfig.teams, entry.teams),
+      );
       const repo = new GithubRepository(this, `cdktn-provider-${provider}`, {
         // TODO: Rename once cdktn core has been published
-        description: `Prebuilt Terraform CDK (cdktf) provider for ${provider}.`,
-        topics: [...GithubRepository.defaultTopics, provider],
-        team: githubTeam,
+        description: deprecated
+          ? `Deprecated: prebuilt Terraform CDK (cdktf) provider for ${provider}, no longer published.`
+          : (entry.description ??
+            `Prebuilt Terraform CDK (cdktf) provider for ${provider}.`),
+        topics,
+        teams: repositoryTeams,
         protectMain: true,
-        // TODO: Re-enable Maven / Nuget
         protectMainChecks: [
           "build",
-          "package-js",
-          // "package-java",
-          "package-python",
-          // "package-dotnet",
-          "package-go",
+          ...languages.map(packageCheckFor),
           "Validate PR title",
         ],
-        webhookUrl: slackWebhook.stringValue,
+        protection: entry.protection ?? fleetConfig.protection?.mode,
+        bypassAppId: secrets.ghAppId.variable.numberValue,
+        releaseTagPattern: fleetConfig.protection?.releaseTagPattern,
+        deployActor: fleetConfig.protection?.deployActor,
+        labels: labelsFor(labelCatalog, "provider"),
+        webhooks: webhooks.for("provider"),
+        files: managedFilesFor(
+          managedFiles,
+          "provider",
+          providerTemplateVariables(provider, entry),
+          templatesDir,
+        ),
         provider: githubProvider,
+        ...sunsetConfig,
       });
 
       // repo to publish go packages to
-      new GithubRepository(this, `cdktn-provider-${provider}-go`, {
-        // TODO: Rename once cdktn core has been published
-        description: `CDK for Terraform Go provider bindings for ${provider}.`,
-        topics: [...GithubRepository.defaultTopics, provider],
-        team: githubTeam,
-        protectMain: false,
-        webhookUrl: slackWebhook.stringValue,
-        provider: githubProvider,
-      });
-
-      secrets.forAllLanguages(repo.resource, githubProvider);
-      repo.addSecret("alert-prs-slack-webhook-url");
+      const goRepo = languages.includes("go")
+        ? new GoRepository(this, `cdktn-provider-${provider}-go`, {
+            // TODO: Rename once cdktn core has been published
+            description: deprecated
+              ? `Deprecated: CDK for Terraform Go provider bindings for ${provider}, no longer published.`
+              : `CDK for Terraform Go provider bindings for ${provider}.`,
+            source: repo.resource,
+            publishingAppId: secrets.ghAppId.variable.numberValue,
+            releaseTagPattern: fleetConfig.protection?.releaseTagPattern,
+            topics,
+            teams: repositoryTeams,
+            labels: labelsFor(labelCatalog, "go"),
+            webhooks: webhooks.for("go"),
+            provider: githubProvider,
+            ...sunsetConfig,
+          })
+        : undefined;
+
+      if (!deprecated) {
+        codeOwners.lookup(entry.owners ?? []);
+        secrets.forLanguages(repo.resource, githubProvider, languages);
+        repo.addSecret("alert-prs-slack-webhook-url");
+      }
 
-      return {
-        html: repo.resource.htmlUrl,
-        ssh: repo.resource.sshCloneUrl,
+      const outputs: RepositoryOutputs = {
+        repository: repositoryOutput(repo.resource),
+        ...(goRepo ? { go: repositoryOutput(goRepo.resource) } : {}),
       };
+      return [provider, outputs] as const;
     });
 
+    new TerraformOutput(this, "providers", {
+      value: Object.fromEntries(providerRepos),
+      description: "Repositories by provider key, with their URLs and node IDs",
+    });
+
+    // SSH clone URLs, kept for `yarn repos`
     new TerraformOutput(this, `providerRepos`, {
-      value: `\${[${providerRepos.map((e) => `"${e.ssh}"`).join(",")}]}`,
+      value: providerRepos.map(
+        ([, outputs]) => outputs.repository.ssh_clone_url,
+      ),
     });
   }
 
   private createProviderProjectRepo(
-    slackWebhook: TerraformVariable,
+    webhooks: WebhookDestinations,
     npmSecret: SecretFromVariable,
     ghAppIdSecret: SecretFromVariable,
     ghAppPrivateKeySecret: SecretFromVariable,
     githubProvider: GithubProvider,
-    githubTeam: DataGithubTeam,
+    teams: Teams,
   ) {
     const templateRepository = new GithubRepository(
       this,
       "cdktn-provider-project",
       {
-        team: githubTeam,
-        webhookUrl: slackWebhook.stringValue,
+        teams: teams.for(teamAccessFor(fleetConfig.teams)),
+        webhooks: webhooks.for("provider"),
         protectMain: true,
         // TODO: Re-add license/cla ?
         protectMainChecks: ["build", "package-js"], // "license/cla"],
+        protection: fleetConfig.protection?.mode,
+        bypassAppId: ghAppIdSecret.variable.numberValue,
+        releaseTagPattern: fleetConfig.protection?.releaseTagPattern,
+        labels: labelsFor(labelCatalog, "provider"),
         provider: githubProvider,
       },
     );
@@ -192,9 +300,9 @@ class CdkTerrainProviderStack extends TerraformStack {
   }
 
   private createRepositoryManagerRepo(
-    slackWebhook: TerraformVariable,
+    webhooks: WebhookDestinations,
     githubProvider: GithubProvider,
-    githubTeam: DataGithubTeam,
+    teams: Teams,
   ) {
     const selfTokens = [
       // TODO: Remote Backend credentials (S3)
@@ -206,8 +314,15 @@ class CdkTerrainProviderStack extends TerraformStack {
     ];
 
     const self = new GithubRepository(this, "cdktn-repository-manager", {
-      team: githubTeam,
-      webhookUrl: slackWebhook.stringValue,
+      teams: teams.for(teamAccessFor(fleetConfig.teams)),
+      labels: labelsFor(labelCatalog, "self"),
+      webhooks: webhooks.for("self"),
+      files: managedFilesFor(
+        managedFiles,
+        "self",
+        repositoryTemplateVariables("cdktn-repository-manager"),
+        templatesDir,
+      ),
       provider: githubProvider,
     });
 
@@ -218,38 +333,11 @@ class CdkTerrainProviderStack extends TerraformStack {
     });
   }
 
-  private validateProviderNames(providers: Record<string, string>) {
-    // validate that providers contain only valid names (-go suffix is forbidden)
-    const goSuffixProviders = Object.keys(providers).filter((key) =>
-      key.endsWith("-go"),
-    );
-    if (goSuffixProviders.length > 0) {
-      Annotations.of(this).addError(
-        `Providers contain a provider key with a suffix -go which is not allowed due to conflicts with go package repositories. Please remove the -go suffix from these provider keys ${goSuffixProviders.join(
-          ", ",
-        )}`,
-      );
-    }
-
-    // validate key matches provider name
-    const notMatchingProviders = Object.entries(providers).filter(
-      ([key, value]) => {
-        const fullProviderName = new RegExp("(.*)@", "g").exec(value)![1];
-        const providerName = fullProviderName.includes("/")
-          ? fullProviderName.split("/")[1]
-          : fullProviderName;
-
-        const sanitizedProviderName = providerName.replace(/-/g, "");
-        return key !== sanitizedProviderName;
-      },
-    );
-    if (notMatchingProviders.length > 0) {
-      Annotations.of(this).addError(
-        `Provider name and provider key do not match for ${notMatchingProviders.join(
-          ", ",
-        )}. This leads to issues when deploying go packages. Please rename the provider key to match the provider name.`,
-      );
-    }
+  private validateProviderNames(providers: ProviderCatalog) {
+    validateProviderCatalog(
+      providers,
+      fleetConfig.providerLanguages ?? defaultProviderLanguages,
+    ).forEach((error) => Annotations.of(this).addError(error));
   }
 }
 
@@ -257,92 +345,104 @@ class CustomConstructsStack extends TerraformStack {
   constructor(
     scope: Construct,
     name: string,
-    constructRepos: {
-      name: string;
-      languages: ("typescript" | "python" | "csharp" | "java" | "go")[];
-      topics?: string[];
-    }[],
+    constructRepos: ConstructCatalog,
   ) {
     super(scope, name);
+
+    const errors = validateConstructCatalog(constructRepos);
+    if (errors.length > 0) {
+      errors.forEach((error) => Annotations.of(this).addError(error));
+      return;
+    }
+
     const githubProvider = new GithubProvider(this, "github-provider-cdktf", {
       owner: "cdktn-io",
       alias: "cdktn",
     });
 
-    const githubTeam = new DataGithubTeam(this, "cdktf-team-cdktf", {
-      slug: "team-cdk-terrain",
-      provider: githubProvider,
-    });
+    const teams = new Teams(this, "teams", githubProvider);
 
-    // TODO: Set up remote backend (S3?)
-    new RemoteBackend(this, {
-      organization: "cdk-terrain",
-      workspaces: {
-        name: "custom-constructs",
-      },
-    });
-    const slackWebhook = new TerraformVariable(this, "slack-webhook", {
-      type: "string",
-    });
-    slackWebhook.overrideLogicalId("slack-webhook");
+    configureBackend(this, name, constructsBackend);
+    const webhooks = new WebhookDestinations(
+      this,
+      "webhooks",
+      fleetConfig.webhooks,
+    );
 
-    const secrets = new PublishingSecretSet(this, "secret-set");
+    const secrets = new PublishingSecretSet(this, "secret-set", {
+      scope: secretScope,
+      selection: organizationSecrets,
+      environment: fleetConfig.secrets?.environment,
+    });
 
     // TODO: Re-add license/cla to protectMainChecks ?
-    constructRepos.forEach(({ name: repoName, languages, topics }) => {
-      const protectMainChecks = ["build" ].concat(
-        languages.map((language) => {
-          return `package-${
-            language === "typescript"
-              ? "js"
-              : language === "csharp"
-                ? "dotnet"
-                : language
-          }`;
-        }),
-      );
+    const constructOutputs = constructRepos.map((constructRepo) => {
+      const {
+        name: repoName,
+        languages,
+        topics,
+        requiredChecks = [],
+      } = constructRepo;
+      const protectMainChecks = [
+        "build",
+        ...languages.map(packageCheckFor),
+        ...requiredChecks,
+      ];
+
+      const repositoryTeams = teams.for(teamAccessFor(fleetConfig.teams));
 
       const repo = new GithubRepositoryFromExistingRepository(
         this,
         `cdktf-construct-${repoName}`,
         {
           repositoryName: repoName,
-          team: githubTeam,
-          webhookUrl: slackWebhook.stringValue,
+          teams: repositoryTeams,
+          webhooks: webhooks.for("construct"),
           provider: githubProvider,
           protectMain: true,
           protectMainChecks,
+          protection: fleetConfig.protection?.mode,
+          bypassAppId: secrets.ghAppId.variable.numberValue,
+          releaseTagPattern: fleetConfig.protection?.releaseTagPattern,
+          deployActor: fleetConfig.protection?.deployActor,
+          labels: labelsFor(labelCatalog, "construct"),
+          files: managedFilesFor(
+            managedFiles,
+            "construct",
+            repositoryTemplateVariables(repoName),
+            templatesDir,
+          ),
         },
       );
 
-      secrets.forGitHub(repo.resource, githubProvider);
-      if (languages.includes("typescript")) {
-        secrets.forTypescript(repo.resource, githubProvider);
-      }
-      if (languages.includes("python")) {
-        secrets.forPython(repo.resource, githubProvider);
-      }
-      // TODO: Re-enable NuGet and Maven
-      // if (languages.includes("csharp")) {
-      //   secrets.forCsharp(repo.resource, githubProvider);
-      // }
-      // if (languages.includes("java")) {
-      //   secrets.forJava(repo.resource, githubProvider);
-      // }
-      if (languages.includes("go")) {
-        secrets.forGo(repo.resource, githubProvider);
-
-        // repo to publish go packages to
-        new GithubRepository(this, `${repoName}-go`, {
-          // TODO: Rename when cdktn core is published
-          description: `CDK for Terraform Go bindings for ${repoName}.`,
-          topics,
-          team: githubTeam,
-          protectMain: false,
-          webhookUrl: slackWebhook.stringValue,
-          provider: githubProvider,
-        });
-      }
+      secrets.forLanguages(repo.resource, githubProvider, languages);
+      // repo to publish go packages to
+      const goRepo = languages.includes("go")
+        ? new GoRepository(this, `${repoName}-go`, {
+            // TODO: Rename when cdktn core is published
+            description: `CDK for Terraform Go bindings for ${repoName}.`,
+            source: repo.resource,
+            publishingAppId: secrets.ghAppId.variable.numberValue,
+            releaseTagPattern: fleetConfig.protection?.releaseTagPattern,
+            topics,
+            teams: repositoryTeams,
+            labels: labelsFor(labelCatalog, "go"),
+            webhooks: webhooks.for("go"),
+            provider: githubProvider,
+          })
+        : undefined;
+
+      const outputs: RepositoryOutputs = {
+        repository: repositoryOutput(repo.resource),
+        ...(goRepo ? { go: repositoryOutput(goRepo.resource) } : {}),
+      };
+      return [repoName, outputs] as const;
+    });
+
+    new TerraformOutput(this, "constructs", {
+      value: Object.fromEntries(constructOutputs),
+      description:
+        "Repositories by construct repository name, with their URLs and node IDs",
     });
   }
 }
@@ -374,7 +474,7 @@ if (missingProvidersInShards.size > 0) {
   throw new Error(
     `One or more providers present in provider.json are missing in sharded-stacks.json: ${[
       ...missingProvidersInShards,
-    ]}`,
+    ]}. Run \`yarn shards --write\` to assign them to a shard.`,
   );
 }
 
@@ -386,6 +486,49 @@ if (missingProvidersInAllProviders.size > 0) {
   );
 }
 
+const backendErrors = validateStackBackends({
+  ...Object.fromEntries(
+    stackNames.map((name) => [name, shardedStacks.stacks[name].backend]),
+  ),
+  "custom-constructs": constructsBackend,
+});
+if (backendErrors.length > 0) {
+  throw new Error(`Invalid sharded-stacks.json:\n${backendErrors.join("\n")}`);
+}
+
+const fleetConfigErrors = validateFleetConfig(
+  fleetConfig,
+  templatesDir,
+  allProviders,
+);
+if (fleetConfigErrors.length > 0) {
+  throw new Error(`Invalid fleet.json:\n${fleetConfigErrors.join("\n")}`);
+}
+
+// labels added by workflows and scripts need to be defined in labels.json
+const labelErrors = validateLabelCatalog(labelCatalog);
+if (labelErrors.length === 0) {
+  labelErrors.push(
+    ...validateReferencedLabels(
+      labelCatalog,
+      findReferencedLabels(path.join(__dirname, ".github")),
+    ),
+  );
+}
+if (labelErrors.length > 0) {
+  throw new Error(`Invalid labels.json:\n${labelErrors.join("\n")}`);
+}
+
+const moveErrors = validateResourceMoves(resourceMoves, [
+  ...stackNames,
+  "custom-constructs",
+]);
+if (moveErrors.length > 0) {
+  throw new Error(`Invalid moved.json:\n${moveErrors.join("\n")}`);
+}
+const movesFor = (stack: string) =>
+  resourceMoves.filter((move) => move.stack === stack);
+
 if (!primaryStackName) {
   throw new Error("Cannot proceed without a primary stack");
 }
@@ -393,15 +536,41 @@ if (!stackNames.includes(primaryStackName)) {
   throw new Error("Cannot proceed with a non-existent stack as primary");
 }
 
-stackNames.forEach((stackName) => {
+const providerStacks = stackNames.map((stackName) => {
   const providerStack = new CdkTerrainProviderStack(
     app,
     stackName,
     primaryStackName === stackName,
   );
-  Aspects.of(providerStack).add(new MigrateIds());
+  Aspects.of(providerStack).add(
+    new ResourceMoves(movesFor(stackName), { migrateIds: true }),
+  );
+  Aspects.of(providerStack).add(
+    new RepositoryGovernance(fleetConfig.governance),
+  );
+  return providerStack;
 });
 
-new CustomConstructsStack(app, "custom-constructs", []);
+const constructsStack = new CustomConstructsStack(
+  app,
+  "custom-constructs",
+  constructRepos,
+);
+Aspects.of(constructsStack).add(
+  new ResourceMoves(movesFor("custom-constructs")),
+);
+Aspects.of(constructsStack).add(
+  new RepositoryGovernance(fleetConfig.governance),
+);
+
+// organization secrets need the repositories of all stacks
+if (secretScope === "organization" || secretScope === "both") {
+  const primaryStack = providerStacks[stackNames.indexOf(primaryStackName)];
+  primaryStack.secrets.forOrganization(
+    organizationSecrets,
+    primaryStack.githubProvider,
+    "cdktn-io",
+  );
+}
 
 app.synth();
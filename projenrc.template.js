@@ -8,6 +8,7 @@ const { CdktnProviderProject } = require("@cdktn/provider-project");
 const project = new CdktnProviderProject({
   useCustomGithubRunner: __CUSTOM_RUNNER__,
   terraformProvider: "__PROVIDER__",
+  languages: __LANGUAGES__,
   cdktfVersion: "^0.21.0",
   constructsVersion: "^10.4.2",
   minNodeVersion: "20.9.0",
@@ -6,7 +6,7 @@
 if [[ $# -eq 0 ]] ; then
     echo 'Usage: scripts/force-release-providers.sh <filter>'
     echo
-    echo 'This script runs the workflow "force-release" on every provider listed in provider.json'
+    echo 'This script runs the workflow "force-release" on every active provider listed in provider.json'
     echo 'Please note that the tool is quite naive and will generate a release for every provider you agree with'
     echo 'It DOES NOT see if the previous release is there or not, so please exercise caution while using it'
     echo
@@ -17,7 +17,7 @@ if [[ $# -eq 0 ]] ; then
     exit 0
 fi
 
-providers=$(jq -rcM "keys | .[]" provider.json)
+providers=$(jq -rcM 'to_entries[] | select((.value.status // "active") == "active") | .key' provider.json)
 org="cdktf"
 filter=$1
 workflow_name=force-release
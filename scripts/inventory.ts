@@ -0,0 +1,119 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: MPL-2.0
+ */
+
+/**
+ * Fleet Inventory Script
+ *
+ * Lists every provider of provider.json with its shard, workspace, Terraform
+ * provider, repositories, required checks, secrets, runner and status, read
+ * from the synthesized stacks. Works offline: the state is optional and only
+ * adds the actual repository URLs and whether repositories were deployed.
+ *
+ * Usage:
+ *   yarn inventory [stacks-dir]                  # Print Markdown
+ *   yarn inventory --json                        # Print JSON
+ *   yarn inventory --state=<dir>                 # Read <dir>/<stack>.tfstate
+ *   yarn inventory --out=<file>                  # Write to a file instead
+ *
+ * The stacks default to cdktf.out/stacks, so run "yarn synth" first. To pull
+ * the state of a stack:
+ *   (cd cdktf.out/stacks/repos && terraform init && terraform state pull > /tmp/state/repos.tfstate)
+ *
+ * Stacks with a local backend read their state file without --state.
+ */
+
+import * as fs from "fs";
+import * as path from "path";
+import {
+  buildInventory,
+  ProviderCatalog,
+  renderInventoryMarkdown,
+  SynthesizedStack,
+  TerraformState,
+} from "../lib";
+
+const args = process.argv.slice(2);
+const json = args.includes("--json");
+const option = (name: string) =>
+  args.find((arg) => arg.startsWith(`--${name}=`))?.slice(`--${name}=`.length);
+const stateDir = option("state");
+const out = option("out");
+const [stacksDir = path.join("cdktf.out", "stacks")] = args.filter(
+  (arg) => !arg.startsWith("--"),
+);
+
+const rootDir = path.join(__dirname, "..");
+const catalog: ProviderCatalog = JSON.parse(
+  fs.readFileSync(path.join(rootDir, "provider.json"), "utf8"),
+);
+
+if (!fs.existsSync(stacksDir)) {
+  console.error(`❌ Error: Stacks directory does not exist: ${stacksDir}`);
+  console.error('   Make sure you run "yarn synth" first.');
+  process.exit(1);
+}
+if (stateDir && !fs.existsSync(stateDir)) {
+  console.error(`❌ Error: State directory does not exist: ${stateDir}`);
+  process.exit(1);
+}
+
+const stacks: Record<string, SynthesizedStack> = Object.fromEntries(
+  fs
+    .readdirSync(stacksDir)
+    .filter((stack) =>
+      fs.existsSync(path.join(stacksDir, stack, "cdk.tf.json")),
+    )
+    .map((stack) => [
+      stack,
+      JSON.parse(
+        fs.readFileSync(path.join(stacksDir, stack, "cdk.tf.json"), "utf8"),
+      ),
+    ]),
+);
+
+/**
+ * terraform runs in the stack directory, so local state paths are relative
+ * to it
+ */
+function stateFileOf(name: string): string | undefined {
+  const local = stacks[name].terraform?.backend?.local;
+  const candidates = [
+    ...(stateDir ? [path.join(stateDir, `${name}.tfstate`)] : []),
+    ...(local?.path
+      ? [path.resolve(stacksDir, name, local.path as string)]
+      : []),
+  ];
+  return candidates.find((file) => fs.existsSync(file));
+}
+
+const states: Record<string, TerraformState> = {};
+Object.keys(stacks).forEach((name) => {
+  const file = stateFileOf(name);
+  if (file) {
+    states[name] = JSON.parse(fs.readFileSync(file, "utf8"));
+  } else if (stateDir) {
+    console.error(`⚠️  No state for stack ${name}, using derived URLs`);
+  }
+});
+
+const inventory = buildInventory(catalog, stacks, states);
+const output = json
+  ? JSON.stringify(inventory, null, 2) + "\n"
+  : renderInventoryMarkdown(inventory);
+
+if (out) {
+  fs.writeFileSync(out, output);
+  console.error(
+    `✅ Wrote the inventory of ${inventory.providers.length} providers to ${out}`,
+  );
+} else {
+  process.stdout.write(output);
+}
+
+if (inventory.missing.length > 0) {
+  console.error(
+    `⚠️  Missing in the synthesized stacks: ${inventory.missing.join(", ")}. Run "yarn synth" again.`,
+  );
+}
@@ -0,0 +1,202 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: MPL-2.0
+ */
+
+/**
+ * Backend Migration Script
+ *
+ * Copies the state of a stack from the backend it used at a previous revision
+ * of sharded-stacks.json to the backend it is configured with now, e.g. from a
+ * Terraform Cloud workspace to S3. Only the backend blocks are synthesized, so
+ * this works without the previous revision's providers or dependencies.
+ *
+ * Migration:
+ *   1. Change the backend of the stack in sharded-stacks.json
+ *   2. yarn migrate-backend <stack> --from=main --yes
+ *   3. Merge and deploy, then delete the state in the old backend
+ *
+ * Usage:
+ *   yarn migrate-backend <stack> --from=<git-revision>         # Dry-run mode (default)
+ *   yarn migrate-backend <stack> --from=<git-revision> --yes   # Copy the state
+ *
+ * Requires terraform and credentials for both backends, e.g. a Terraform
+ * Cloud token and AWS credentials in the environment.
+ */
+
+import { execFileSync } from "child_process";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { App, TerraformStack } from "cdktf";
+import {
+  BackendConfig,
+  backendLocation,
+  configureBackend,
+  defaultConstructsBackend,
+  StackShards,
+  validateStackBackends,
+} from "../lib";
+
+const args = process.argv.slice(2);
+const dryRun = !args.includes("--yes");
+const stack = args.find((arg) => !arg.startsWith("--"));
+const fromRevision = args
+  .find((arg) => arg.startsWith("--from="))
+  ?.slice("--from=".length);
+
+if (!stack || !fromRevision) {
+  console.error(
+    "Usage: yarn migrate-backend <stack> --from=<git-revision> [--yes]",
+  );
+  console.error("");
+  console.error("Example:");
+  console.error("  yarn migrate-backend repos-partners --from=main");
+  process.exit(1);
+}
+
+const rootDir = path.join(__dirname, "..");
+
+/**
+ * @returns the backend of the stack, null if the stack does not exist
+ */
+function backendOf(shards: StackShards, name: string): BackendConfig | null {
+  if (name === "custom-constructs") {
+    return shards.constructsBackend ?? defaultConstructsBackend;
+  }
+  return shards.stacks[name]?.backend ?? null;
+}
+
+function readShards(revision?: string): StackShards {
+  const contents = revision
+    ? execFileSync("git", ["show", `${revision}:sharded-stacks.json`], {
+        cwd: rootDir,
+        encoding: "utf8",
+      })
+    : fs.readFileSync(path.join(rootDir, "sharded-stacks.json"), "utf8");
+  return JSON.parse(contents);
+}
+
+/**
+ * Synthesizes a stack that only holds the backend configuration
+ *
+ * @returns the directory to run terraform in
+ */
+function synthesizeBackend(
+  outdir: string,
+  name: string,
+  backend: BackendConfig,
+): string {
+  const app = new App({ outdir });
+  configureBackend(new TerraformStack(app, name), name, backend);
+  app.synth();
+  return path.join(outdir, "stacks", name);
+}
+
+function terraform(dir: string, command: string[]): string {
+  return execFileSync("terraform", command, {
+    cwd: dir,
+    encoding: "utf8",
+    stdio: ["inherit", "pipe", "inherit"],
+    maxBuffer: 256 * 1024 * 1024,
+  });
+}
+
+function pullState(dir: string): {
+  lineage?: string;
+  serial?: number;
+  resources?: unknown[];
+} | null {
+  const output = terraform(dir, ["state", "pull"]).trim();
+  return output ? JSON.parse(output) : null;
+}
+
+function main(stack: string, fromRevision: string) {
+  console.log(`🚚 Backend Migration ${dryRun ? "(DRY RUN)" : ""}`);
+  console.log("");
+
+  const oldBackend = backendOf(readShards(fromRevision), stack);
+  const newBackend = backendOf(readShards(), stack);
+  if (!oldBackend) {
+    console.error(
+      `❌ Error: Stack ${stack} does not exist in sharded-stacks.json at ${fromRevision}`,
+    );
+    process.exit(1);
+  }
+  if (!newBackend) {
+    console.error(
+      `❌ Error: Stack ${stack} does not exist in sharded-stacks.json`,
+    );
+    process.exit(1);
+  }
+
+  const errors = validateStackBackends({ [stack]: newBackend });
+  if (errors.length > 0) {
+    errors.forEach((error) => console.error(`❌ ${error}`));
+    process.exit(1);
+  }
+
+  const from = backendLocation(stack, oldBackend);
+  const to = backendLocation(stack, newBackend);
+  console.log(`${stack}: ${from} → ${to}`);
+  if (from === to) {
+    console.log("✅ The backend did not change, nothing to migrate");
+    return;
+  }
+
+  if (dryRun) {
+    console.log("");
+    console.log("💡 Run with --yes to copy the state to the new backend");
+    return;
+  }
+
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "migrate-backend-"));
+  const oldDir = synthesizeBackend(
+    path.join(workDir, "old"),
+    stack,
+    oldBackend,
+  );
+  const newDir = synthesizeBackend(
+    path.join(workDir, "new"),
+    stack,
+    newBackend,
+  );
+
+  terraform(oldDir, ["init", "-input=false", "-reconfigure"]);
+  terraform(newDir, ["init", "-input=false", "-reconfigure"]);
+
+  const state = pullState(oldDir);
+  if (!state) {
+    console.error(`❌ Error: No state found at ${from}`);
+    process.exit(1);
+  }
+  if (pullState(newDir)) {
+    console.error(
+      `❌ Error: ${to} already holds a state, refusing to overwrite it`,
+    );
+    process.exit(1);
+  }
+
+  const stateFile = path.join(workDir, "terraform.tfstate");
+  fs.writeFileSync(stateFile, JSON.stringify(state));
+  terraform(newDir, ["state", "push", stateFile]);
+
+  const pushed = pullState(newDir);
+  if (
+    pushed?.lineage !== state.lineage ||
+    pushed?.resources?.length !== state.resources?.length
+  ) {
+    console.error(`❌ Error: The state at ${to} does not match ${from}`);
+    process.exit(1);
+  }
+
+  console.log(
+    `✅ Copied ${state.resources?.length ?? 0} resources (serial ${state.serial}) to ${to}`,
+  );
+  console.log(
+    `⚠️  The state at ${from} is kept, delete it once the stack was deployed with the new backend`,
+  );
+  fs.rmSync(workDir, { recursive: true, force: true });
+}
+
+main(stack, fromRevision);
@@ -0,0 +1,148 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: MPL-2.0
+ */
+
+/**
+ * Moved Blocks Script
+ *
+ * Compares the synthesized stacks of two revisions and generates Terraform
+ * `moved` blocks for resources whose logical ID changed (renamed providers,
+ * restructured constructs) but that are still the same object on GitHub.
+ * Without them Terraform plans to destroy and recreate these resources.
+ *
+ * Usage:
+ *   yarn moved <old-stacks-dir> [new-stacks-dir]       # Print moved blocks (dry-run)
+ *   yarn moved <old-stacks-dir> --write                # Add the moves to moved.json
+ *   yarn moved <old-stacks-dir> --state-mv             # Print terraform state mv commands instead
+ *   yarn moved <old-stacks-dir> --rename=old=new       # Match a renamed repository
+ *
+ * The new stacks default to cdktf.out/stacks. To synthesize the old revision:
+ *   git worktree add /tmp/old main && (cd /tmp/old && yarn install && yarn synth)
+ *   yarn moved /tmp/old/cdktf.out/stacks
+ *
+ * cdktf.out is not committed, so the deploy workflow only sees moves that are
+ * committed to moved.json, which main.ts turns into moved blocks.
+ */
+
+import * as fs from "fs";
+import * as path from "path";
+import {
+  mergeResourceMoves,
+  planMoves,
+  renderMovedBlocks,
+  renderStateMvCommands,
+  ResourceMove,
+  SynthesizedStack,
+} from "../lib";
+
+const args = process.argv.slice(2);
+const write = args.includes("--write");
+const stateMv = args.includes("--state-mv");
+const [oldDir, newDir = path.join("cdktf.out", "stacks")] = args.filter(
+  (arg) => !arg.startsWith("--"),
+);
+const renames = Object.fromEntries(
+  args
+    .filter((arg) => arg.startsWith("--rename="))
+    .map((arg) => arg.slice("--rename=".length).split("=")),
+);
+
+if (!oldDir) {
+  console.error(
+    "Usage: yarn moved <old-stacks-dir> [new-stacks-dir] [--write] [--state-mv] [--rename=old=new]",
+  );
+  process.exit(1);
+}
+
+if (Object.values(renames).some((name) => !name)) {
+  console.error(`❌ Error: --rename expects old-name=new-name`);
+  process.exit(1);
+}
+
+function readStacks(dir: string): Record<string, SynthesizedStack> {
+  if (!fs.existsSync(dir)) {
+    console.error(`❌ Error: Stacks directory does not exist: ${dir}`);
+    console.error('   Make sure you run "yarn synth" first.');
+    process.exit(1);
+  }
+
+  return Object.fromEntries(
+    fs
+      .readdirSync(dir)
+      .filter((stack) => fs.existsSync(path.join(dir, stack, "cdk.tf.json")))
+      .map((stack) => [
+        stack,
+        JSON.parse(
+          fs.readFileSync(path.join(dir, stack, "cdk.tf.json"), "utf8"),
+        ),
+      ]),
+  );
+}
+
+const plan = planMoves(readStacks(oldDir), readStacks(newDir), { renames });
+const movedFile = path.join(__dirname, "..", "moved.json");
+
+const stacks = [...new Set(plan.moves.map((move) => move.stack))];
+if (stacks.length === 0) {
+  console.log("✅ No moved resources found");
+}
+stacks.forEach((stack) => {
+  const moves = plan.moves.filter((move) => move.stack === stack);
+  const output = stateMv
+    ? renderStateMvCommands(moves)
+    : renderMovedBlocks(moves);
+
+  if (write && !stateMv) {
+    console.log(`✅ ${stack}: ${moves.length} moved resources`);
+  } else {
+    console.log(`# ${stack}: ${moves.length} moved resources`);
+    console.log(output);
+  }
+});
+
+if (write && !stateMv && plan.moves.length > 0) {
+  const existing: ResourceMove[] = JSON.parse(
+    fs.readFileSync(movedFile, "utf8"),
+  );
+  fs.writeFileSync(
+    movedFile,
+    JSON.stringify(mergeResourceMoves(existing, plan.moves), null, 2) + "\n",
+  );
+  console.log(
+    `✅ Added the moves to ${path.relative(process.cwd(), movedFile)}, commit it with the change`,
+  );
+}
+
+if (plan.crossStackMoves.length > 0) {
+  console.log("");
+  console.log(
+    "⚠️  Resources moved between stacks, remove them from the old workspace state and import them into the new one:",
+  );
+  plan.crossStackMoves.forEach((move) =>
+    console.log(
+      `   ${move.fromStack}: ${move.from} → ${move.toStack}: ${move.to}`,
+    ),
+  );
+}
+
+const removed = plan.unmatched.filter((r) => r.change === "removed");
+const added = plan.unmatched.filter((r) => r.change === "added");
+if (removed.length > 0 || added.length > 0) {
+  console.log("");
+  console.log("Unmatched resources:");
+  removed.forEach((r) =>
+    console.log(
+      `   🗑️  ${r.stack}: ${r.address} will be destroyed (${r.reason})`,
+    ),
+  );
+  added.forEach((r) =>
+    console.log(`   ➕ ${r.stack}: ${r.address} will be created (${r.reason})`),
+  );
+  if (removed.some((r) => r.address.startsWith("github_repository."))) {
+    console.log("");
+    console.log(
+      "💡 Renamed a repository? Pass --rename=old-name=new-name to match it",
+    );
+  }
+}
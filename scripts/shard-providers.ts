@@ -0,0 +1,113 @@
+/**
+ * Copyright (c) HashiCorp, Inc.
+ * SPDX-License-Identifier: MPL-2.0
+ */
+
+/**
+ * Shard Assignment Script
+ *
+ * Places providers from provider.json that are missing in sharded-stacks.json
+ * into the least loaded shard that stays within its resource budget. Existing
+ * providers never move unless --rebalance is passed.
+ *
+ * Usage:
+ *   yarn shards                    # Show the proposed assignment (dry-run)
+ *   yarn shards --write            # Update sharded-stacks.json
+ *   yarn shards --rebalance        # Also propose moving existing providers
+ *   yarn shards --budget=350       # Override the default resource budget
+ */
+
+import * as fs from "fs";
+import * as path from "path";
+import {
+  FleetConfig,
+  LabelCatalog,
+  planShards,
+  ProviderCatalog,
+  StackShards,
+} from "../lib";
+
+const args = process.argv.slice(2);
+const write = args.includes("--write");
+const rebalance = args.includes("--rebalance");
+const budgetFlag = args.find((arg) => arg.startsWith("--budget="));
+const resourceBudget = budgetFlag
+  ? Number(budgetFlag.split("=")[1])
+  : undefined;
+
+if (
+  resourceBudget !== undefined &&
+  (!Number.isInteger(resourceBudget) || resourceBudget <= 0)
+) {
+  console.error(`❌ Error: --budget must be a positive integer`);
+  process.exit(1);
+}
+
+const rootDir = path.join(__dirname, "..");
+const shardsPath = path.join(rootDir, "sharded-stacks.json");
+const catalog: ProviderCatalog = JSON.parse(
+  fs.readFileSync(path.join(rootDir, "provider.json"), "utf8"),
+);
+const shards: StackShards = JSON.parse(fs.readFileSync(shardsPath, "utf8"));
+const fleetConfig: FleetConfig = JSON.parse(
+  fs.readFileSync(path.join(rootDir, "fleet.json"), "utf8"),
+);
+
+const labels: LabelCatalog = JSON.parse(
+  fs.readFileSync(path.join(rootDir, "labels.json"), "utf8"),
+);
+
+const plan = planShards(catalog, shards, {
+  resourceBudget,
+  rebalance,
+  protection: fleetConfig.protection?.mode,
+  labels,
+  webhooks: fleetConfig.webhooks,
+  secrets: fleetConfig.secrets,
+  providerLanguages: fleetConfig.providerLanguages,
+  teams: fleetConfig.teams,
+  files: fleetConfig.files,
+});
+
+console.log("Estimated resources per stack:");
+Object.keys(plan.load).forEach((name) => {
+  console.log(
+    `   ${name}: ${plan.load[name]} / ${plan.budget[name]} (${plan.shards.stacks[name].providers.length} providers)`,
+  );
+});
+console.log("");
+
+if (plan.moves.length === 0) {
+  console.log("✅ No changes needed");
+} else {
+  console.log("Proposed changes:");
+  plan.moves.forEach((move) => {
+    console.log(
+      move.from
+        ? `   🔀 ${move.provider}: ${move.from} → ${move.to} (${move.resources} resources)`
+        : `   ➕ ${move.provider}: → ${move.to} (${move.resources} resources)`,
+    );
+  });
+
+  if (plan.moves.some((move) => move.from)) {
+    console.log("");
+    console.log(
+      "⚠️  Moved providers change workspace: their resources need to be removed from the old workspace state and imported into the new one before deploying.",
+    );
+  }
+}
+
+if (plan.errors.length > 0) {
+  console.log("");
+  plan.errors.forEach((error) => console.error(`❌ ${error}`));
+  process.exit(1);
+}
+
+if (write && plan.moves.length > 0) {
+  fs.writeFileSync(shardsPath, JSON.stringify(plan.shards, null, 2) + "\n");
+  console.log("");
+  console.log(`✅ Updated ${path.relative(process.cwd(), shardsPath)}`);
+} else if (plan.moves.length > 0) {
+  console.log("");
+  console.log("💡 Run with --write to update sharded-stacks.json");
+}